@@ -3,17 +3,162 @@ import * as maptalks from 'maptalks';
 const options = {
     'maxClusterRadius' : 160,
     'textSumProperty' : null,
+    'clusterProperties' : null,
     'symbol' : null,
     'drawClusterText' : true,
     'textSymbol' : null,
+    'textFormat' : null,
+    'textDecimals' : 1,
+    'textAbbreviate' : true,
+    'textLocale' : null,
+    'autoSize' : false,
+    'autoSizePadding' : 6,
+    'autoSizeMin' : 20,
+    'autoSizeMax' : 120,
     'animation' : true,
     'animationDuration' : 450,
     'maxClusterZoom' : null,
+    'minClusterZoom' : null,
+    'overviewMode' : 'summary',
+    'overviewRegion' : null,
+    'overviewSymbol' : null,
     'noClusterWithOneMarker':true,
-    'forceRenderOnZooming' : true
+    'minClusterSize' : null,
+    'forceRenderOnZooming' : true,
+    'spiderfy' : false,
+    'spiderfyDistance' : 28,
+    'spiderfyLegSymbol' : null,
+    'useWorker' : false,
+    'zoomOnClusterClick' : false,
+    'chartProperty' : null,
+    'chartType' : 'pie',
+    'chartColors' : null,
+    'chartInnerRadius' : 0.6,
+    'representative' : null,
+    'badgeSymbol' : null,
+    'badgeTextSymbol' : null,
+    'clusterHull' : false,
+    'clusterHullAlpha' : null,
+    'clusterHullSymbol' : null,
+    'clusterFilter' : null,
+    'groupBy' : null,
+    'groupSymbols' : null,
+    'groupSpacing' : 40,
+    'weightProperty' : null,
+    'heatmapZoom' : null,
+    'heatmapFadeRange' : 1,
+    'heatmapRadius' : 25,
+    'heatmapBlur' : 15,
+    'heatmapGradient' : null,
+    'heatmapMax' : null,
+    'clusterMode' : 'default',
+    'hexbinStyle' : 'polygon',
+    'hexbinSymbol' : null,
+    'eps' : 40,
+    'minPoints' : 3,
+    'representativePoint' : 'centroid'
+};
+
+// placeholders in the template of textFormat: {name} or {type:property}
+const textTemplateRegex = /\{([^{}:]+)(?::([^{}]+))?\}/g;
+
+// units to abbreviate numbers of cluster texts
+const numberAbbreviations = [[1e3, 'k'], [1e6, 'M'], [1e9, 'B'], [1e12, 'T']];
+
+// GeoJSON types of geometries can be clustered, non-point ones are clustered by their representative points
+const clusterableTypes = ['Point', 'LineString', 'Polygon', 'MultiPoint'];
+
+// caches of the renderer to invalidate when options are changed:
+// recluster rebuilds the cluster tree, render redraws clusters and reset recreates texts and styles of clusters
+const optionInvalidations = {
+    'clusterFilter' : ['recluster', 'render'],
+    'groupBy' : ['recluster', 'render'],
+    'weightProperty' : ['recluster', 'render'],
+    'clusterMode' : ['recluster', 'render'],
+    'eps' : ['recluster', 'render'],
+    'minPoints' : ['recluster', 'render'],
+    'maxClusterRadius' : ['recluster', 'render'],
+    'minClusterZoom' : ['recluster', 'render'],
+    'representativePoint' : ['recluster', 'representative', 'render'],
+    'overviewRegion' : ['overview', 'render'],
+    'groupSymbols' : ['symbol'],
+    'hexbinSymbol' : ['symbol'],
+    'overviewSymbol' : ['symbol'],
+    'badgeSymbol' : ['symbol'],
+    'badgeTextSymbol' : ['symbol'],
+    'minClusterSize' : ['render'],
+    'noClusterWithOneMarker' : ['render'],
+    'overviewMode' : ['render'],
+    'symbol' : ['render'],
+    'drawClusterText' : ['render'],
+    'textSymbol' : ['render'],
+    'autoSize' : ['render'],
+    'autoSizePadding' : ['render'],
+    'autoSizeMin' : ['render'],
+    'autoSizeMax' : ['render'],
+    'maxClusterZoom' : ['render'],
+    'clusterProperties' : ['reset'],
+    'textFormat' : ['reset'],
+    'textDecimals' : ['reset'],
+    'textAbbreviate' : ['reset'],
+    'textLocale' : ['reset'],
+    'chartProperty' : ['reset'],
+    'chartType' : ['reset'],
+    'chartColors' : ['reset'],
+    'chartInnerRadius' : ['reset'],
+    'representative' : ['reset'],
+    'groupSpacing' : ['reset'],
+    'hexbinStyle' : ['reset'],
+    'heatmapZoom' : ['heatmap'],
+    'heatmapFadeRange' : ['heatmap'],
+    'heatmapRadius' : ['heatmap'],
+    'heatmapBlur' : ['heatmap'],
+    'heatmapGradient' : ['heatmap'],
+    'heatmapMax' : ['heatmap'],
+    'clusterHull' : ['hull'],
+    'clusterHullAlpha' : ['hull'],
+    'clusterHullSymbol' : ['hull']
+};
+
+// invalidations of the renderer, applied in this order
+const invalidationActions = {
+    'recluster' : renderer => {
+        renderer._clusterNeedRedraw = true;
+    },
+    'representative' : renderer => {
+        delete renderer._representativeCache;
+    },
+    'overview' : renderer => {
+        delete renderer._overviewCache;
+    },
+    'symbol' : renderer => {
+        renderer.onSymbolChanged();
+    },
+    'render' : renderer => {
+        renderer.render();
+    },
+    'reset' : renderer => {
+        renderer._resetClusters();
+    },
+    'heatmap' : renderer => {
+        delete renderer._heatmapBrush;
+        delete renderer._heatmapPalette;
+        delete renderer._heatmap;
+        renderer.setToRedraw();
+    },
+    'hull' : renderer => {
+        delete renderer._hullCache;
+        renderer.setToRedraw();
+    }
 };
 
 export class ClusterLayer extends maptalks.VectorLayer {
+    constructor(id, geometries, options) {
+        super(id, geometries, options);
+        // throw invalid clusterProperties here instead of in drawing
+        createAggregators(this.options['clusterProperties']);
+    }
+
     /**
      * Reproduce a ClusterLayer from layer's profile JSON.
      * @param  {Object} json - layer's profile JSON
@@ -34,32 +179,107 @@ export class ClusterLayer extends maptalks.VectorLayer {
             }
         }
         layer.addGeometry(geometries);
+        if (json['data']) {
+            layer.setData(json['data']);
+        }
         return layer;
     }
 
+    /**
+     * Create a ClusterLayer with GeoJSON point features as its data, see setData
+     * @param  {String} id - layer's id
+     * @param  {Object|Object[]|String} geojson - a FeatureCollection, a Feature or an array of Features
+     * @param  {Object} [options=null] - layer's options
+     * @return {ClusterLayer}
+     */
+    static fromGeoJSON(id, geojson, options) {
+        return new ClusterLayer(id, options).setData(geojson);
+    }
+
+    /**
+     * Set GeoJSON features of Point, LineString, Polygon or MultiPoint as the layer's data, they are clustered without creating markers,
+     * geometries of features are only created when they are drawn unclustered or requested from clusters.
+     * @param  {Object|Object[]|String} geojson - a FeatureCollection, a Feature or an array of Features
+     * @return {ClusterLayer} this
+     */
+    setData(geojson) {
+        if (maptalks.Util.isString(geojson)) {
+            geojson = JSON.parse(geojson);
+        }
+        let features = geojson ? geojson['features'] || geojson : [];
+        if (!Array.isArray(features)) {
+            features = [features];
+        }
+        for (let i = 0; i < features.length; i++) {
+            const geometry = features[i] && features[i]['geometry'];
+            if (geometry && clusterableTypes.indexOf(geometry['type']) < 0) {
+                throw new Error('Only Point, LineString, Polygon or MultiPoint features can be set as data of a ClusterLayer, invalid feature at index:' + i);
+            }
+        }
+        // features without geometry are skipped
+        this._data = features.filter(f => f && f['geometry']);
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer._clusterNeedRedraw = true;
+            renderer.setToRedraw();
+        }
+        return this;
+    }
+
+    /**
+     * Get the GeoJSON features set by setData
+     * @return {Object[]} features
+     */
+    getData() {
+        return this._data || [];
+    }
+
+    /**
+     * Whether the layer has neither markers nor features of data
+     * @return {Boolean}
+     */
+    isEmpty() {
+        return super.isEmpty() && !(this._data && this._data.length);
+    }
+
     addMarker(markers) {
         return this.addGeometry(markers);
     }
 
-    addGeometry(markers) {
-        for (let i = 0, len = markers.length; i <= len; i++) {
-            if (!markers[i] instanceof maptalks.Marker) {
-                throw new Error('Only a point(Marker) can be added into a ClusterLayer');
+    addGeometry(geometries) {
+        const geos = Array.isArray(geometries) ? geometries : Array.prototype.slice.call(arguments);
+        for (let i = 0, len = geos.length; i < len; i++) {
+            if (!isSupportedGeometry(geos[i])) {
+                throw new Error('Only Marker, LineString, Polygon or MultiPoint can be added into a ClusterLayer, invalid geometry at index:' + i);
             }
         }
         return super.addGeometry.apply(this, arguments);
     }
 
     onConfig(conf) {
+        if (conf['clusterProperties'] !== undefined) {
+            try {
+                createAggregators(conf['clusterProperties']);
+            } catch (e) {
+                // invalid clusterProperties are not kept, or every drawing throws
+                this.options['clusterProperties'] = null;
+                throw e;
+            }
+        }
         super.onConfig(conf);
-        if (conf['maxClusterRadius'] ||
-            conf['symbol'] ||
-            conf['drawClusterText'] ||
-            conf['textSymbol'] ||
-            conf['maxClusterZoom']) {
-            const renderer = this._getRenderer();
-            if (renderer) {
-                renderer.render();
+        const renderer = this._getRenderer();
+        if (renderer) {
+            const actions = {};
+            for (const name in conf) {
+                const invalidations = optionInvalidations[name] || [];
+                for (let i = 0; i < invalidations.length; i++) {
+                    actions[invalidations[i]] = true;
+                }
+            }
+            for (const action in invalidationActions) {
+                if (actions[action]) {
+                    invalidationActions[action](renderer);
+                }
             }
         }
         return this;
@@ -68,37 +288,131 @@ export class ClusterLayer extends maptalks.VectorLayer {
     /**
      * Identify the clusters on the given coordinate
      * @param  {maptalks.Coordinate} coordinate   - coordinate to identify
-     * @return {Object|Geometry[]}  result: cluster { center : [cluster's center], children : [geometries in the cluster] } or markers
+     * @return {Cluster|Geometry[]}  result: the cluster or markers
      */
     identify(coordinate, options) {
         const map = this.getMap(),
             maxZoom = this.options['maxClusterZoom'];
+        const renderer = this._getRenderer();
+        if (renderer && renderer._spiderfied) {
+            const hits = renderer._identifySpiderfied(coordinate, options);
+            if (hits.length) {
+                return hits;
+            }
+        }
+        if (renderer) {
+            return renderer.identify(coordinate, options);
+        }
         if (maxZoom && map && map.getZoom() > maxZoom) {
             return super.identify(coordinate, options);
         }
-        if (this._getRenderer()) {
-            return this._getRenderer().identify(coordinate, options);
+        return null;
+    }
+
+    /**
+     * Fan out the markers of a cluster around its center, with leader lines to the center.
+     * @param  {Object} cluster - cluster returned by identify: { center : [cluster's center], children : [geometries in the cluster] }
+     * @return {ClusterLayer} this
+     */
+    spiderfy(cluster) {
+        const renderer = this._getRenderer();
+        if (renderer && cluster && cluster['children'] && cluster['children'].length > 1) {
+            const center = this.getMap().getProjection().project(new maptalks.Coordinate(cluster['center']));
+            renderer._spiderfy(center, cluster['children']);
+        }
+        return this;
+    }
+
+    /**
+     * Get the zoom at which the cluster expands into its children.
+     * @param  {Object} cluster - cluster from getClusters, identify or cluster events
+     * @return {Number} the expansion zoom, null if the cluster is not found
+     */
+    getClusterExpansionZoom(cluster) {
+        const renderer = this._getRenderer();
+        if (renderer) {
+            return renderer._getClusterExpansionZoom(cluster);
         }
         return null;
     }
 
     /**
-     * Export the ClusterLayer's JSON.
+     * Zoom the map to the extent of the cluster's children or the cluster's expansion zoom, whichever is smaller.
+     * @param  {Object} cluster - cluster from getClusters, identify or cluster events
+     * @param  {Object} [options=null] - options of map.animateTo, e.g. { duration : 300 }, animation is false to zoom without animation
+     * @return {ClusterLayer} this
+     */
+    zoomToCluster(cluster, options) {
+        const map = this.getMap(),
+            renderer = this._getRenderer(),
+            zoom = this.getClusterExpansionZoom(cluster);
+        if (zoom === null) {
+            return this;
+        }
+        const extent = renderer._getClusterModel(renderer._findCluster(cluster)).extent;
+        const view = {
+            'center' : extent.getCenter(),
+            'zoom' : Math.min(map.getFitZoom(extent), zoom)
+        };
+        if (options && options['animation'] === false) {
+            map.setCenterAndZoom(view['center'], view['zoom']);
+        } else {
+            map.animateTo(view, options);
+        }
+        return this;
+    }
+
+    /**
+     * Get clusters of the zoom as a GeoJSON FeatureCollection, in geographic coordinates.
+     * Each cluster is a Point feature with properties of cluster (true), clusterId, count and aggregates of clusterProperties,
+     * markers not clustered are features with cluster (false) and count (1) in properties, lines and polygons as Points of their representative points.
+     * Clusters of the zoom are computed if necessary, the map's view is not changed.
+     * @param  {Number} [zoom=null] - zoom of the clusters, map's current zoom by default
+     * @return {Object} FeatureCollection
+     */
+    getClustersAsGeoJSON(zoom) {
+        const renderer = this._getRenderer(),
+            map = this.getMap();
+        return {
+            'type' : 'FeatureCollection',
+            'features' : renderer ? renderer._getClustersAsGeoJSON(maptalks.Util.isNil(zoom) ? map.getZoom() : zoom) : []
+        };
+    }
+
+    /**
+     * Collapse the spiderfied markers back into their cluster.
+     * @return {ClusterLayer} this
+     */
+    unspiderfy() {
+        const renderer = this._getRenderer();
+        if (renderer) {
+            renderer._unspiderfy();
+        }
+        return this;
+    }
+
+    /**
+     * Export the ClusterLayer's JSON, with features set by setData as its data.
+     * @param  {Object} [options=null] - export options of VectorLayer
      * @return {Object} layer's JSON
      */
-    toJSON() {
-        const json = super.toJSON.call(this);
+    toJSON(options) {
+        const json = super.toJSON.call(this, options);
         json['type'] = 'ClusterLayer';
+        if (this._data && this._data.length) {
+            // features set by setData
+            json['data'] = this._data;
+        }
         return json;
     }
     /**
      * Get the ClusterLayer's current clusters
-     * @return {Object} layer's clusters
+     * @return {Cluster[]} layer's clusters
      **/
     getClusters() {
         const renderer = this._getRenderer();
-        if (renderer) {
-            return renderer._currentClusters || [];
+        if (renderer && renderer._currentClusters) {
+            return renderer._currentClusters.map(c => renderer._getClusterModel(c));
         }
         return [];
     }
@@ -110,6 +424,142 @@ ClusterLayer.mergeOptions(options);
 // register ClusterLayer's JSON type for JSON deserialization.
 ClusterLayer.registerJSONType('ClusterLayer');
 
+const defaultHullSymbol = {
+    'lineColor' : '#1bbc9b',
+    'lineWidth' : 2,
+    'lineOpacity' : 0.8,
+    'polygonFill' : '#1bbc9b',
+    'polygonOpacity' : 0.2
+};
+
+/**
+ * An immutable cluster of markers, returned by getClusters, identify and cluster events.
+ * Id of a cluster is derived from its markers, kept across redraws, rebuilds and zooms if its markers are not changed.
+ */
+class Cluster {
+    constructor(renderer, cluster) {
+        const projection = renderer.getMap().getProjection(),
+            leaves = cluster['leaves'],
+            tree = renderer._clusterTree;
+        // records of the markers are kept, as points of the renderer are changed by updates of markers
+        const points = leaves.map(i => renderer._markerPoints[i]);
+        let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            xmin = Math.min(xmin, p.x);
+            ymin = Math.min(ymin, p.y);
+            xmax = Math.max(xmax, p.x);
+            ymax = Math.max(ymax, p.y);
+        }
+        this.id = cluster['id'];
+        // geographic center of the markers
+        this.center = Object.freeze(projection.unproject(cluster['center']));
+        this.extent = Object.freeze(new maptalks.Extent(projection.unproject(new maptalks.Coordinate(xmin, ymin)), projection.unproject(new maptalks.Coordinate(xmax, ymax))));
+        this.count = cluster['count'];
+        this.zoom = cluster['zoom'];
+        this.properties = Object.freeze(maptalks.Util.extend({}, cluster['properties']));
+        this.breakdown = cluster['breakdown'] ? Object.freeze(maptalks.Util.extend({}, cluster['breakdown'])) : null;
+        this.group = cluster['group'];
+        this._renderer = renderer;
+        this._cluster = cluster;
+        this._points = points;
+        this._leaves = leaves.slice(0);
+        this._representative = maptalks.Util.isNil(cluster['representative']) ? -1 : leaves.indexOf(cluster['representative']);
+        this._nodeChildren = cluster['node'].children ? cluster['node'].children.slice(0) : null;
+        // children are in the cluster tree, which is outdated when markers are changed
+        this._tree = tree;
+        this._treeVersion = tree ? tree.version : null;
+        // memo of the hull
+        this._memo = {};
+        Object.freeze(this);
+    }
+
+    /**
+     * All the markers in the cluster
+     * @return {Marker[]} markers
+     */
+    get children() {
+        return this.getLeaves();
+    }
+
+    /**
+     * Get children in the zoom level the cluster expands to: markers and clusters
+     * @return {Array} markers and clusters
+     */
+    getChildren() {
+        if (!this._nodeChildren || this._cluster['node'].overview) {
+            // children of summary clusters below minClusterZoom are markers
+            return this.getLeaves();
+        }
+        const renderer = this._renderer;
+        if (!this._tree || renderer._clusterTree !== this._tree || this._tree.version !== this._treeVersion) {
+            throw new Error('The cluster is outdated as markers of the layer are changed, get it again by getClusters or identify');
+        }
+        return renderer._getClusterChildren(this._cluster['node'], this._nodeChildren);
+    }
+
+    /**
+     * Get markers in the cluster, markers of GeoJSON features are created when requested.
+     * @param  {Number} [limit=Infinity] - max count of markers to return
+     * @param  {Number} [offset=0]       - count of markers to skip
+     * @return {Marker[]} markers
+     */
+    getLeaves(limit, offset) {
+        offset = offset || 0;
+        const end = maptalks.Util.isNil(limit) ? this._points.length : Math.min(this._points.length, offset + limit);
+        const markers = [];
+        for (let i = offset; i < end; i++) {
+            markers.push(this._getMarker(i));
+        }
+        return markers;
+    }
+
+    // marker of the i-th point, by index of renderer's points if the point is still there to keep the index of created markers
+    _getMarker(i) {
+        const renderer = this._renderer,
+            index = this._leaves[i];
+        if (renderer._markerPoints && renderer._markerPoints[index] === this._points[i]) {
+            return renderer._getPointMarker(index);
+        }
+        return renderer._getPointMarker(i, this._points);
+    }
+
+    /**
+     * Get the hexagon of the cluster in hexbin mode
+     * @return {maptalks.Polygon} hexagon, null if clusterMode is not hexbin
+     */
+    getHexagon() {
+        const hexagon = this._cluster['hexagon'];
+        if (!hexagon) {
+            return null;
+        }
+        const projection = this._renderer.getMap().getProjection();
+        return new maptalks.Polygon(hexagon.map(c => projection.unproject(c)));
+    }
+
+    /**
+     * Get the area covered by the markers: convex hull, or concave hull if clusterHullAlpha is set
+     * @return {maptalks.Polygon} hull
+     */
+    getHull() {
+        const renderer = this._renderer;
+        if (!this._memo.hull) {
+            this._memo.hull = renderer._getClusterHull(this._cluster, this._points);
+        }
+        return new maptalks.Polygon(this._memo.hull, {
+            'symbol' : renderer.layer.options['clusterHullSymbol'] || defaultHullSymbol
+        });
+    }
+
+    /**
+     * Get the representative marker of the cluster picked by representative option
+     * @return {Marker} marker, null if representative is not set
+     */
+    getRepresentative() {
+        return this._representative < 0 ? null : this._getMarker(this._representative);
+    }
+}
+
 const defaultTextSymbol = {
     'textFaceName'      : '"microsoft yahei"',
     'textSize'          : 16,
@@ -128,6 +578,46 @@ const defaultSymbol = {
     'markerHeight' : { property:'count', type:'interval', stops: [[0, 40], [9, 60], [99, 80]] }
 };
 
+// colors of chart's categories not defined in chartColors
+const chartPalette = ['#5b8ff9', '#5ad8a6', '#f6bd16', '#e8684a', '#6dc8ec', '#9270ca', '#ff9d4d', '#269a99', '#ff99c3', '#5d7092'];
+
+const defaultHexbinSymbol = {
+    'polygonFill' : { property:'count', type:'interval', stops: [[0, 'rgb(135, 196, 240)'], [9, '#1bbc9b'], [99, 'rgb(216, 115, 149)']] },
+    'polygonOpacity' : 0.7,
+    'lineColor' : '#fff',
+    'lineWidth' : 1,
+    'lineOpacity' : 1
+};
+
+const defaultHeatmapGradient = {
+    0.4 : 'blue',
+    0.6 : 'cyan',
+    0.7 : 'lime',
+    0.8 : 'yellow',
+    1.0 : 'red'
+};
+
+const defaultBadgeSymbol = {
+    'markerType' : 'ellipse',
+    'markerFill' : '#e8684a',
+    'markerLineColor' : '#fff',
+    'markerLineWidth' : 2,
+    'markerWidth' : 20,
+    'markerHeight' : 20
+};
+
+const defaultBadgeTextSymbol = {
+    'textFaceName' : '"microsoft yahei"',
+    'textSize' : 11,
+    'textFill' : '#fff'
+};
+
+const defaultLegSymbol = {
+    'lineColor' : '#222',
+    'lineWidth' : 1.5,
+    'lineOpacity' : 0.5
+};
+
 ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLayerCanvasRenderer {
 
     constructor(layer) {
@@ -147,6 +637,47 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
             }
             this._symbolResourceChecked = symbol;
         }
+        const groupSymbols = this.layer.options['groupSymbols'];
+        if (groupSymbols && groupSymbols !== this._groupSymbolsResourceChecked) {
+            for (const group in groupSymbols) {
+                const res = maptalks.Util.getExternalResources(groupSymbols[group], true);
+                if (res) {
+                    resources.push.apply(resources, res);
+                }
+            }
+            this._groupSymbolsResourceChecked = groupSymbols;
+        }
+        const overviewSymbol = this.layer.options['overviewSymbol'];
+        if (overviewSymbol && overviewSymbol !== this._overviewSymbolResourceChecked) {
+            const res = maptalks.Util.getExternalResources(overviewSymbol, true);
+            if (res) {
+                resources.push.apply(resources, res);
+            }
+            this._overviewSymbolResourceChecked = overviewSymbol;
+        }
+        const data = this.layer._data;
+        if (data && data !== this._dataResourceChecked) {
+            // markers of features are created when drawn, with symbols of features or the default symbol of markers
+            let markerSymbol = null;
+            for (let i = 0; i < data.length; i++) {
+                const symbol = data[i]['symbol'];
+                if (!symbol) {
+                    const type = data[i]['geometry']['type'];
+                    if (type === 'Point' || type === 'MultiPoint') {
+                        markerSymbol = maptalks.Marker.prototype.options['symbol'];
+                    }
+                    continue;
+                }
+                const res = maptalks.Util.getExternalResources(symbol, true);
+                if (res) {
+                    resources.push.apply(resources, res);
+                }
+            }
+            if (markerSymbol) {
+                resources.push.apply(resources, maptalks.Util.getExternalResources(markerSymbol, true));
+            }
+            this._dataResourceChecked = data;
+        }
         return resources;
     }
 
@@ -159,61 +690,249 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
         const maxClusterZoom = this.layer.options['maxClusterZoom'];
         if (maxClusterZoom &&  zoom > maxClusterZoom) {
             delete this._currentClusters;
-            this._markersToDraw = this.layer._geoList;
+            if (this._clusterNeedRedraw) {
+                this._clearDataCache();
+                this._clusterNeedRedraw = false;
+            }
+            this._markersToDraw = this._excludeSpiderfied(this._getDataMarkersInView().concat(this.layer._geoList));
             super.draw.apply(this, arguments);
             return;
         }
         if (this._clusterNeedRedraw) {
             this._clearDataCache();
-            this._computeGrid();
             this._clusterNeedRedraw = false;
         }
-        const zoomClusters = this._clusterCache[zoom] ? this._clusterCache[zoom]['clusters'] : null;
+        if (this._getHeatmapOpacity(zoom) >= 1) {
+            // only the heatmap is drawn, clusters are not computed
+            delete this._currentClusters;
+            this._drawClusters(null, 1);
+            this._markersToDraw = this._getUnclusteredMarkers();
+            this._drawMarkers();
+            this.completeRender();
+            return;
+        }
+        if (this._isOverviewZoom(zoom)) {
+            // clusters are not computed below minClusterZoom
+            this._drawOverview(zoom);
+            return;
+        }
+        this._computeGrid();
+        const level = this._getClusterZoom(zoom);
+        if (!this._clusterCache[level] && this._workerTask) {
+            // clusters are being computed in the worker, keep drawing the current ones until it's done
+            this.prepareCanvas();
+            this._drawClusters(this._currentClusters, 1);
+            this._drawMarkers();
+            this.completeRender();
+            return;
+        }
+        const zoomClusters = this._clusterCache[level] ? this._clusterCache[level]['clusters'] : null;
 
         const clusters = this._getClustersToDraw(zoomClusters);
         clusters.zoom = zoom;
         this._drawLayer(clusters);
     }
 
+    /**
+     * Draw the layer below minClusterZoom by overviewMode: hide the layer, or draw a summary cluster per overviewRegion.
+     * the heatmap mode is drawn as heatmap in draw.
+     * @param  {Number} zoom - map zoom
+     * @private
+     */
+    _drawOverview(zoom) {
+        if (this.layer.options['overviewMode'] === 'hide') {
+            delete this._currentClusters;
+            this._markersToDraw = [];
+            this._smallClusterMarkers = [];
+            this.prepareCanvas();
+            this.completeRender();
+            return;
+        }
+        const clusters = this._getClustersToDraw(this._getOverviewClusters(zoom));
+        clusters.zoom = zoom;
+        clusters.overview = true;
+        this._drawLayer(clusters);
+    }
+
+    _isOverviewZoom(zoom) {
+        const minClusterZoom = this.layer.options['minClusterZoom'];
+        return !maptalks.Util.isNil(minClusterZoom) && zoom < minClusterZoom;
+    }
+
+    /**
+     * Get summary clusters of markers below minClusterZoom, a cluster per overviewRegion and group.
+     * @param  {Number} zoom - map zoom
+     * @return {Object[]} clusters
+     * @private
+     */
+    _getOverviewClusters(zoom) {
+        zoom = Math.floor(zoom);
+        if (this._overviewCache) {
+            // regions don't change with zoom, only zoom of the clusters is updated
+            const cached = this._overviewCache;
+            if (cached.length && cached[0]['zoom'] !== zoom) {
+                cached.forEach(cluster => {
+                    cluster['zoom'] = cluster['node'].zoom = zoom;
+                });
+                this._spreadGroups(cached, zoom);
+            }
+            return cached;
+        }
+        if (!this._markerPoints) {
+            this._initGridSystem();
+        }
+        const points = this._markerPoints,
+            groupBy = this.layer.options['groupBy'];
+        // summary clusters are recomputed when markers change, version keeps caches by node's version valid
+        this._overviewVersion = (this._overviewVersion || 0) + 1;
+        const nodes = {},
+            keys = [];
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            if (!p) {
+                continue;
+            }
+            const key = this._getOverviewRegion(p) + (groupBy ? '|' + p.group : '');
+            let node = nodes[key];
+            if (!node) {
+                node = nodes[key] = {
+                    id : 'overview:' + key,
+                    group : p.group,
+                    sumX : 0,
+                    sumY : 0,
+                    count : 0,
+                    weight : 0,
+                    weightX : 0,
+                    weightY : 0,
+                    zoom : zoom,
+                    version : this._overviewVersion,
+                    parent : null,
+                    children : [],
+                    overview : true
+                };
+                keys.push(key);
+            }
+            const leaf = createLeafNode(i, p.x, p.y, zoom + 1, p.group, p.weight);
+            leaf.parent = node;
+            node.children.push(leaf);
+            node.sumX += leaf.sumX;
+            node.sumY += leaf.sumY;
+            node.count++;
+            node.weight += leaf.weight;
+            node.weightX += leaf.weightX;
+            node.weightY += leaf.weightY;
+        }
+        const aggregators = this._createAggregators();
+        const clusters = keys.map(key => this._createCluster(nodes[key], zoom, aggregators));
+        this._spreadGroups(clusters, zoom);
+        this._overviewCache = clusters;
+        return clusters;
+    }
+
+    // region of a marker by overviewRegion, property name or function(properties, marker)
+    _getOverviewRegion(point) {
+        const region = this.layer.options['overviewRegion'];
+        if (!region) {
+            return '';
+        }
+        const properties = (point.geometry ? point.geometry.getProperties() : point.feature['properties']) || {};
+        return maptalks.Util.isFunction(region) ? region(properties, point.geometry || point.feature) : properties[region];
+    }
+
     _getClustersToDraw(zoomClusters) {
-        this._markersToDraw = [];
         const map = this.getMap();
-        const font = maptalks.StringUtil.getFont(this._textSymbol),
-            digitLen = maptalks.StringUtil.stringLength('9', font).toPoint();
         const extent = map.getContainerExtent(),
             clusters = [];
+        // markers excluded from clustering are always drawn
+        this._markersToDraw = this._getUnclusteredMarkers();
+        this._smallClusterMarkers = [];
+        if (!zoomClusters) {
+            return clusters;
+        }
+        const minSize = this._getMinClusterSize();
         let pt, pExt, sprite, width, height;
-        for (const p in zoomClusters) {
-            this._currentGrid = zoomClusters[p];
-            if (zoomClusters[p]['count'] === 1 && this.layer.options['noClusterWithOneMarker']) {
-                const marker = zoomClusters[p]['children'][0];
-                marker._cluster = zoomClusters[p];
-                this._markersToDraw.push(marker);
+        for (let i = 0, len = zoomClusters.length; i < len; i++) {
+            const cluster = zoomClusters[i];
+            this._currentGrid = cluster;
+            // clusters smaller than minClusterSize are drawn as their markers
+            if (cluster['count'] < minSize) {
+                cluster['leaves'].forEach(i => {
+                    const marker = this._getPointMarker(i);
+                    marker._cluster = cluster;
+                    this._markersToDraw.push(marker);
+                    this._smallClusterMarkers.push(marker);
+                });
                 continue;
             }
-            sprite = this._getSprite();
-            width = sprite.canvas.width;
-            height = sprite.canvas.height;
-            pt = map._prjToContainerPoint(zoomClusters[p]['center']);
+            if (this._isHexbinPolygon(cluster)) {
+                // twice of hexagon's size
+                width = height = map._prjToContainerPoint(cluster['hexagon'][0]).distanceTo(map._prjToContainerPoint(cluster['hexCenter'])) * 2;
+            } else {
+                // text is measured before the sprite, which may be sized by it
+                this._getClusterTextSize(cluster);
+                sprite = this._getClusterSprite(cluster);
+                width = sprite.canvas.width;
+                height = sprite.canvas.height;
+            }
+            pt = map._prjToContainerPoint(this._getClusterCenter(cluster));
             pExt = new maptalks.PointExtent(pt.sub(width, height), pt.add(width, height));
             if (!extent.intersects(pExt)) {
                 continue;
             }
-
-            if (!zoomClusters[p]['textSize']) {
-                const text = this._getClusterText(zoomClusters[p]);
-                zoomClusters[p]['textSize'] = new maptalks.Point(digitLen.x * text.length, digitLen.y)._multi(1 / 2);
-            }
-            clusters.push(zoomClusters[p]);
+            this._getClusterTextSize(cluster);
+            clusters.push(cluster);
         }
         return clusters;
     }
 
+    // half size of the cluster's text, measured with the formatted text
+    _getClusterTextSize(cluster) {
+        if (!cluster['textSize']) {
+            const font = maptalks.StringUtil.getFont(this._textSymbol);
+            cluster['textSize'] = maptalks.StringUtil.stringLength(this._getClusterText(cluster), font).toPoint()._multi(1 / 2);
+        }
+        return cluster['textSize'];
+    }
+
+    /**
+     * Size of the cluster's sprite to fit its text with autoSizePadding, bounded by autoSizeMin and autoSizeMax.
+     * Sizes are rounded up to 4 pixels to share sprites between clusters.
+     * @param  {Object} cluster - cluster
+     * @return {Number} size in pixels, null if autoSize is false or texts are not drawn
+     * @private
+     */
+    _getAutoSize(cluster) {
+        const options = this.layer.options;
+        if (!options['autoSize'] || !options['drawClusterText'] || !cluster) {
+            return null;
+        }
+        const textSize = this._getClusterTextSize(cluster);
+        // diagonal of the text's box to fit it in a circle
+        const size = Math.sqrt(textSize.x * textSize.x + textSize.y * textSize.y) * 2 + options['autoSizePadding'] * 2;
+        return Math.min(options['autoSizeMax'], Math.max(options['autoSizeMin'], Math.ceil(size / 4) * 4));
+    }
+
     drawOnInteracting() {
-        if (this._currentClusters) {
+        if (this._currentClusters || this._getHeatmapOpacity(this.getMap().getZoom()) > 0) {
             this._drawClusters(this._currentClusters, 1);
         }
         super.drawOnInteracting.apply(this, arguments);
+        this._drawSpiderfied();
+    }
+
+    drawGeos() {
+        super.drawGeos.apply(this, arguments);
+        this._drawSpiderfied();
+    }
+
+    getEvents() {
+        const events = super.getEvents();
+        events['click'] = this._onMapClick;
+        events['dblclick'] = this._onMapMouseEvent;
+        events['contextmenu'] = this._onMapMouseEvent;
+        events['mousemove'] = this._onMapMouseMove;
+        events['mouseout'] = this._onMapMouseOut;
+        return events;
     }
 
     _getCurrentNeedRenderGeos() {
@@ -245,80 +964,514 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
         super.onGeometryHide.apply(this, arguments);
     }
 
-    onGeometryAdd() {
-        this._clusterNeedRedraw = true;
+    onGeometryAdd(geometries) {
+        if (!this._updateClusterTree(geometries, null, null)) {
+            this._clusterNeedRedraw = true;
+        }
         super.onGeometryAdd.apply(this, arguments);
     }
 
-    onGeometryRemove() {
-        this._clusterNeedRedraw = true;
+    onGeometryRemove(geometries) {
+        if (this._representativeCache) {
+            [].concat(geometries).forEach(g => delete this._representativeCache[g._getInternalId()]);
+        }
+        if (!this._updateClusterTree(null, geometries, null)) {
+            this._clusterNeedRedraw = true;
+        }
         super.onGeometryRemove.apply(this, arguments);
     }
 
-    onGeometryPositionChange() {
-        this._clusterNeedRedraw = true;
+    onGeometryPositionChange(param) {
+        this._onGeometryMove(param);
         super.onGeometryPositionChange.apply(this, arguments);
     }
 
-    onRemove() {
-        this._clearDataCache();
+    onGeometryShapeChange(param) {
+        this._onGeometryMove(param);
+        super.onGeometryShapeChange.apply(this, arguments);
     }
 
-    identify(coordinate, options) {
-        const map = this.getMap(),
-            maxZoom = this.layer.options['maxClusterZoom'];
-        if (maxZoom && map.getZoom() > maxZoom) {
-            return super.identify(coordinate, options);
-        }
-        if (this._currentClusters) {
-            const point = map.coordinateToContainerPoint(coordinate);
-            const old = this._currentGrid;
-            for (let i = 0; i < this._currentClusters.length; i++) {
-                const c = this._currentClusters[i];
-                const pt = map._prjToContainerPoint(c['center']);
-                this._currentGrid = c;
-                const markerWidth = this._getSprite().canvas.width;
-
-                if (point.distanceTo(pt) <= markerWidth) {
-                    return {
-                        'center'   : map.getProjection().unproject(c.center.copy()),
-                        'children' : c.children.slice(0)
-                    };
-                }
-            }
-            this._currentGrid = old;
+    _onGeometryMove(param) {
+        if (param && this._representativeCache) {
+            delete this._representativeCache[param['target']._getInternalId()];
         }
-
-        // if no clusters is hit, identify markers
-        if (this._markersToDraw && this._markersToDraw[0]) {
-            const point = map.coordinateToContainerPoint(coordinate);
-            return this.layer._hitGeos(this._markersToDraw, point, options);
+        if (!param || !this._updateClusterTree(null, null, [param['target']])) {
+            this._clusterNeedRedraw = true;
         }
-        return null;
     }
 
-    onSymbolChanged() {
-        this._refreshStyle();
-        this._computeGrid();
-        this._stopAnim();
-        this.setToRedraw();
-    }
-
-    _refreshStyle() {
-        const symbol = this.layer.options['symbol'] || defaultSymbol;
-        const textSymbol = this.layer.options['textSymbol'] || defaultTextSymbol;
-        const argFn =  () => [this.getMap().getZoom(), this._currentGrid];
-        this._symbol = maptalks.MapboxUtil.loadFunctionTypes(symbol, argFn);
-        this._textSymbol = maptalks.MapboxUtil.loadFunctionTypes(textSymbol, argFn);
-    }
-
-    _drawLayer(clusters) {
+    /**
+     * Update the cluster tree incrementally with the changed geometries instead of rebuilding it
+     * @param  {Geometry[]} added   - geometries added
+     * @param  {Geometry[]} removed - geometries removed
+     * @param  {Geometry[]} moved   - geometries moved
+     * @return {Boolean} false if the cluster tree needs to be rebuilt
+     * @private
+     */
+    _updateClusterTree(added, removed, moved) {
+        delete this._overviewCache;
+        if (!this._clusterTree || this._clusterNeedRedraw || this._workerTask || !this._markerPoints || this.layer.options['clusterMode'] !== 'default') {
+            return false;
+        }
+        added = added ? [].concat(added) : [];
+        removed = removed ? [].concat(removed) : [];
+        moved = moved ? [].concat(moved) : [];
+        const count = added.length + removed.length + moved.length;
+        if (count > Math.max(64, this._markerPoints.length / 10)) {
+            // rebuilding is faster
+            return false;
+        }
+        const removedIndexes = [],
+            addedPoints = [],
+            movedPoints = [];
+        for (let i = 0; i < removed.length; i++) {
+            const index = this._markerPointIndex[removed[i]._getInternalId()];
+            if (index === undefined) {
+                this._unclusteredPoints = this._unclusteredPoints.filter(p => p.geometry !== removed[i]);
+            } else {
+                this._markerPoints[index] = null;
+                delete this._markerPointIndex[removed[i]._getInternalId()];
+                removedIndexes.push(index);
+            }
+        }
+        for (let i = 0; i < added.length; i++) {
+            const geo = added[i];
+            if (!geo.isVisible()) {
+                continue;
+            }
+            if (!this._isClusterable(geo)) {
+                const c = this._getRepresentativePoint(geo);
+                this._unclusteredPoints.push({
+                    x : c.x,
+                    y : c.y,
+                    id : geo._getInternalId(),
+                    geometry : geo
+                });
+                continue;
+            }
+            const point = this._addMarkerPoint(geo);
+            addedPoints.push({
+                x : point.x,
+                y : point.y,
+                index : this._markerPoints.length - 1,
+                group : point.group,
+                weight : point.weight
+            });
+        }
+        for (let i = 0; i < moved.length; i++) {
+            const geo = moved[i],
+                index = this._markerPointIndex[geo._getInternalId()];
+            if (index === undefined) {
+                continue;
+            }
+            const c = this._getRepresentativePoint(geo);
+            this._markerPoints[index].x = c.x;
+            this._markerPoints[index].y = c.y;
+            this._markerExtent = this._markerExtent._combine(geo._getPrjExtent());
+            movedPoints.push({
+                x : c.x,
+                y : c.y,
+                index : index
+            });
+        }
+        updateClusterTree(this._clusterTree, removedIndexes, addedPoints, movedPoints);
+        delete this._heatmap;
+        for (const zoom in this._clusterCache) {
+            if (this._clusterCache[zoom]) {
+                this._clusterCache[zoom]['stale'] = true;
+            }
+        }
+        if (this._spiderfied) {
+            const children = this._spiderfied['children'];
+            if (added.concat(removed, moved).some(g => children.indexOf(g) >= 0)) {
+                this._unspiderfy();
+            }
+        }
+        return true;
+    }
+
+    _addMarkerPoint(geo) {
+        const c = this._getRepresentativePoint(geo);
+        const point = {
+            x : c.x,
+            y : c.y,
+            id : geo._getInternalId(),
+            geometry : geo,
+            hash : hashString('g:' + geo._getInternalId()),
+            group : this._getGroup(geo),
+            weight : this._getWeight(geo)
+        };
+        this._markerPointIndex[point.id] = this._markerPoints.length;
+        this._markerPoints.push(point);
+        if (!this._markerExtent) {
+            this._markerExtent = geo._getPrjExtent();
+        } else {
+            this._markerExtent = this._markerExtent._combine(geo._getPrjExtent());
+        }
+        return point;
+    }
+
+    onRemove() {
+        this._clearDataCache();
+        this._terminateWorker();
+    }
+
+    identify(coordinate, options) {
+        const map = this.getMap(),
+            maxZoom = this.layer.options['maxClusterZoom'];
+        if (maxZoom && map.getZoom() > maxZoom) {
+            return super.identify(coordinate, options);
+        }
+        const c = this._identifyCluster(map.coordinateToContainerPoint(coordinate));
+        if (c) {
+            return this._getClusterModel(c);
+        }
+
+        // if no clusters is hit, identify markers
+        if (this._markersToDraw && this._markersToDraw[0]) {
+            return this.layer._hitGeos(this._markersToDraw, new maptalks.Coordinate(coordinate), options);
+        }
+        return null;
+    }
+
+    _identifyCluster(point) {
+        if (!this._currentClusters) {
+            return null;
+        }
+        const map = this.getMap();
+        const old = this._currentGrid;
+        let hit = null;
+        for (let i = 0; i < this._currentClusters.length; i++) {
+            const c = this._currentClusters[i];
+            if (this._spiderfied && this._spiderfied.cluster === c) {
+                continue;
+            }
+            const pt = map._prjToContainerPoint(this._getClusterCenter(c));
+            if (this._isHexbinPolygon(c)) {
+                if (isPointInPolygon(point, this._getHexagonPoints(pt, c))) {
+                    hit = c;
+                    break;
+                }
+                continue;
+            }
+            const markerWidth = this._getClusterSprite(c).canvas.width;
+
+            if (point.distanceTo(pt) <= markerWidth) {
+                hit = c;
+                break;
+            }
+        }
+        this._currentGrid = old;
+        return hit;
+    }
+
+    _onMapMouseEvent(param) {
+        if (this.layer.options['geometryEvents']) {
+            this._fireClusterEvent('cluster' + param['type'], param, this._identifyEventCluster(param));
+        }
+    }
+
+    _onMapMouseMove(param) {
+        const options = this.layer.options,
+            hovered = this._hoveredCluster;
+        if (!options['geometryEvents'] && !options['clusterHull'] && !hovered) {
+            return;
+        }
+        const cluster = this._identifyEventCluster(param);
+        if (cluster === hovered) {
+            return;
+        }
+        this._hoveredCluster = cluster;
+        if (options['clusterHull']) {
+            // to draw hull of the hovered cluster
+            this.setToRedraw();
+        }
+        this._fireClusterEvent('clustermouseout', param, hovered);
+        this._fireClusterEvent('clustermouseover', param, cluster);
+    }
+
+    // the hovered cluster is out when mouse leaves the map
+    _onMapMouseOut(param) {
+        const hovered = this._hoveredCluster;
+        if (!hovered) {
+            return;
+        }
+        delete this._hoveredCluster;
+        if (this.layer.options['clusterHull']) {
+            this.setToRedraw();
+        }
+        this._fireClusterEvent('clustermouseout', param, hovered);
+    }
+
+    _identifyEventCluster(param) {
+        const map = this.getMap();
+        if (!this.layer.isVisible() || map.isInteracting()) {
+            return null;
+        }
+        return this._identifyCluster(param['containerPoint']);
+    }
+
+    /**
+     * Fire a cluster event on the layer
+     * @param  {String} type    - event type
+     * @param  {Object} param   - param of the map's event
+     * @param  {Object} cluster - cluster of the event
+     * @private
+     */
+    _fireClusterEvent(type, param, cluster) {
+        if (!cluster || !this.layer.options['geometryEvents']) {
+            return;
+        }
+        this.layer.fire(type, {
+            'cluster' : this._getClusterModel(cluster),
+            'children' : this._getClusterMarkers(cluster),
+            'coordinate' : param['coordinate'],
+            'containerPoint' : param['containerPoint'],
+            'domEvent' : param['domEvent']
+        });
+    }
+
+    _onMapClick(param) {
+        this._fireClusterEvent('clusterclick', param, this._identifyEventCluster(param));
+        const point = param['containerPoint'];
+        if (this._spiderfied) {
+            if (!this._identifySpiderfied(param['coordinate']).length) {
+                this._unspiderfy();
+            }
+            return;
+        }
+        if (!this.layer.isVisible()) {
+            return;
+        }
+        const map = this.getMap(),
+            maxZoom = this.layer.options['maxClusterZoom'];
+        if (this.layer.options['zoomOnClusterClick'] && map.getZoom() < map.getMaxZoom()) {
+            const cluster = this._identifyCluster(point);
+            if (cluster) {
+                this.layer.zoomToCluster(cluster);
+                return;
+            }
+        }
+        if (!this.layer.options['spiderfy']) {
+            return;
+        }
+        if (maxZoom && map.getZoom() > maxZoom) {
+            // markers on (nearly) the same position can't be separated by zooming in
+            const hits = super.identify(param['coordinate']);
+            if (hits.length > 1) {
+                const center = new maptalks.Coordinate(0, 0);
+                hits.forEach(g => center._add(this._getRepresentativePoint(g)));
+                this._spiderfy(center._multi(1 / hits.length), hits);
+            }
+            return;
+        }
+        if (map.getZoom() < map.getMaxZoom()) {
+            return;
+        }
+        const cluster = this._identifyCluster(point);
+        if (cluster) {
+            this._spiderfy(this._getClusterCenter(cluster), this._getClusterMarkers(cluster), cluster);
+        }
+    }
+
+    /**
+     * Find the current cluster of the given one, which may be a result of identify without the cluster tree's node.
+     * @param  {Object} cluster - cluster to find
+     * @return {Object} cluster found
+     * @private
+     */
+    _findCluster(cluster) {
+        if (!cluster || cluster['node']) {
+            return cluster || null;
+        }
+        if (cluster instanceof Cluster) {
+            return cluster._cluster;
+        }
+        const children = cluster['children'];
+        if (!children || !children.length || !this._currentClusters || !this._markerPointIndex) {
+            return null;
+        }
+        const index = this._markerPointIndex[children[0]._getInternalId()];
+        for (let i = 0; i < this._currentClusters.length; i++) {
+            const c = this._currentClusters[i];
+            if (c['count'] === children.length && c['leaves'].indexOf(index) >= 0) {
+                return c;
+            }
+        }
+        return null;
+    }
+
+    _getClusterExpansionZoom(cluster) {
+        cluster = this._findCluster(cluster);
+        const tree = this._clusterTree;
+        if (!cluster || !tree && !cluster['node'].overview) {
+            return null;
+        }
+        const node = cluster['node'];
+        if (node.overview) {
+            return this.layer.options['minClusterZoom'];
+        }
+        if (node.zoom < tree.maxZoom) {
+            // children of the node are separated in the upper level
+            return node.zoom + 1;
+        }
+        const map = this.getMap(),
+            maxClusterZoom = this.layer.options['maxClusterZoom'];
+        // markers are not clustered any more above maxClusterZoom
+        return maxClusterZoom && maxClusterZoom < map.getMaxZoom() ? Math.floor(maxClusterZoom) + 1 : map.getMaxZoom();
+    }
+
+    _spiderfy(center, children, cluster) {
+        if (this._spiderfied) {
+            this._unspiderfy();
+        }
+        if (!cluster) {
+            // hide the cluster being spiderfied
+            cluster = this._findCluster({ 'children' : children });
+        }
+        this._spiderfied = {
+            'center' : center,
+            'children' : children.slice(0),
+            'cluster' : cluster
+        };
+        this.layer.fire('spiderfy', { 'children' : children.slice(0) });
+        this.setToRedraw();
+    }
+
+    _unspiderfy() {
+        if (!this._spiderfied) {
+            return;
+        }
+        const children = this._spiderfied['children'];
+        delete this._spiderfied;
+        this.layer.fire('unspiderfy', { 'children' : children });
+        this.setToRedraw();
+    }
+
+    _excludeSpiderfied(geometries) {
+        if (!this._spiderfied) {
+            return geometries;
+        }
+        const children = this._spiderfied['children'];
+        // geometries other than markers are not fanned out
+        return geometries.filter(g => !(g instanceof maptalks.Marker) || children.indexOf(g) < 0);
+    }
+
+    _getSpiderfyPoints(center, count) {
+        const distance = this.layer.options['spiderfyDistance'],
+            points = [];
+        if (count <= 8) {
+            // a circle for a few markers
+            const legLength = distance * (2 + count) / (Math.PI * 2),
+                step = Math.PI * 2 / count;
+            for (let i = 0; i < count; i++) {
+                const angle = Math.PI / 6 + i * step;
+                points.push(center.add(legLength * Math.cos(angle), legLength * Math.sin(angle)));
+            }
+        } else {
+            // an archimedean spiral for many markers
+            let legLength = distance / 2.5,
+                angle = 0;
+            for (let i = 0; i < count; i++) {
+                angle += distance / legLength + i * 0.0005;
+                points.push(center.add(legLength * Math.cos(angle), legLength * Math.sin(angle)));
+                legLength += Math.PI * 2 * distance / 5.6 / angle;
+            }
+        }
+        return points;
+    }
+
+    _drawSpiderfied() {
+        const spiderfied = this._spiderfied;
+        if (!spiderfied || !this.context) {
+            return;
+        }
+        const map = this.getMap(),
+            ctx = this.context;
+        const center = map._prjToContainerPoint(spiderfied['center']);
+        const points = this._getSpiderfyPoints(center, spiderfied['children'].length);
+        const legSymbol = this.layer.options['spiderfyLegSymbol'] || defaultLegSymbol;
+        const opacity = ctx.globalAlpha;
+        ctx.globalAlpha = opacity * (maptalks.Util.isNil(legSymbol['lineOpacity']) ? 1 : legSymbol['lineOpacity']);
+        ctx.strokeStyle = legSymbol['lineColor'];
+        ctx.lineWidth = legSymbol['lineWidth'];
+        ctx.beginPath();
+        points.forEach(p => {
+            ctx.moveTo(center.x, center.y);
+            ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.globalAlpha = opacity;
+
+        const extents = [];
+        spiderfied['children'].forEach((g, i) => {
+            const sprite = g instanceof maptalks.Marker ? this._getMarkerSprite(g) : null;
+            if (!sprite) {
+                extents.push(null);
+                return;
+            }
+            const pos = points[i].add(sprite.offset)._sub(sprite.canvas.width / 2, sprite.canvas.height / 2);
+            maptalks.Canvas.image(ctx, sprite.canvas, pos.x, pos.y);
+            extents.push(new maptalks.PointExtent(pos, pos.add(sprite.canvas.width, sprite.canvas.height)));
+        });
+        spiderfied['extents'] = extents;
+    }
+
+    _identifySpiderfied(coordinate, options) {
+        const hits = [];
+        const spiderfied = this._spiderfied;
+        if (!spiderfied || !spiderfied['extents']) {
+            return hits;
+        }
+        const filter = options && options['filter'],
+            point = this.getMap().coordinateToContainerPoint(new maptalks.Coordinate(coordinate));
+        const extents = spiderfied['extents'];
+        for (let i = extents.length - 1; i >= 0; i--) {
+            const g = spiderfied['children'][i];
+            if (extents[i] && extents[i].contains(point) && (!filter || filter(g))) {
+                hits.push(g);
+                if (options && options['count'] && hits.length >= options['count']) {
+                    break;
+                }
+            }
+        }
+        return hits;
+    }
+
+    onSymbolChanged() {
+        this._refreshStyle();
+        if (!this._isOverviewZoom(this.getMap().getZoom())) {
+            this._computeGrid();
+        }
+        this._stopAnim();
+        this.setToRedraw();
+    }
+
+    _refreshStyle() {
+        const symbol = this.layer.options['symbol'] || defaultSymbol;
+        const textSymbol = this.layer.options['textSymbol'] || defaultTextSymbol;
+        const argFn =  () => [this.getMap().getZoom(), this._currentGrid];
+        this._symbol = maptalks.MapboxUtil.loadFunctionTypes(symbol, argFn);
+        this._textSymbol = maptalks.MapboxUtil.loadFunctionTypes(textSymbol, argFn);
+        this._hexbinSymbol = maptalks.MapboxUtil.loadFunctionTypes(this.layer.options['hexbinSymbol'] || defaultHexbinSymbol, argFn);
+        this._overviewSymbol = maptalks.MapboxUtil.loadFunctionTypes(this.layer.options['overviewSymbol'], argFn);
+        this._badgeSymbol = maptalks.MapboxUtil.loadFunctionTypes(this.layer.options['badgeSymbol'] || defaultBadgeSymbol, argFn);
+        this._badgeTextSymbol = maptalks.MapboxUtil.loadFunctionTypes(this.layer.options['badgeTextSymbol'] || defaultBadgeTextSymbol, argFn);
+        const groupSymbols = this.layer.options['groupSymbols'];
+        this._groupSymbols = {};
+        for (const group in groupSymbols) {
+            this._groupSymbols[group] = maptalks.MapboxUtil.loadFunctionTypes(groupSymbols[group], argFn);
+        }
+    }
+
+    _drawLayer(clusters) {
         const parentClusters = this._currentClusters || clusters;
         this._currentClusters = clusters;
         delete this._clusterMaskExtent;
         const layer = this.layer;
         //if (layer.options['animation'] && this._animated && this._inout === 'out') {
-        if (layer.options['animation'] && this._animated && this._inout) {
+        // summary clusters below minClusterZoom are not in the cluster tree to animate from or to
+        if (layer.options['animation'] && this._animated && this._inout && !parentClusters.overview && !clusters.overview) {
             let dr = [0, 1];
             if (this._inout === 'in') {
                 dr = [1, 0];
@@ -338,6 +1491,7 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
                         } else {
                             this._drawClustersFrame(parentClusters, clusters, frame.styles.d);
                         }
+                        this._drawUnclusteredMarkers();
                         this.setCanvasUpdated();
                     }
                 }
@@ -352,16 +1506,29 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
     }
 
     _drawMarkers() {
-        super.drawGeos(this._clusterMaskExtent);
+        this.drawGeos(this._clusterMaskExtent);
+    }
+
+    // draw markers excluded from clustering and markers of clusters smaller than minClusterSize in animation frames, when other markers are hidden
+    _drawUnclusteredMarkers() {
+        const smallClusterMarkers = this._smallClusterMarkers || [];
+        if ((!this._unclusteredPoints || !this._unclusteredPoints.length) && !smallClusterMarkers.length) {
+            return;
+        }
+        const markers = this._markersToDraw;
+        this._markersToDraw = this._getUnclusteredMarkers().concat(smallClusterMarkers);
+        this.drawGeos(this._clusterMaskExtent);
+        this._markersToDraw = markers;
     }
 
     _drawClustersFrame(parentClusters, toClusters, ratio) {
         this._clusterMaskExtent = this.prepareCanvas();
+        this._drawHeatmap();
         const map = this.getMap(),
             drawn = {};
         if (parentClusters) {
             parentClusters.forEach(c => {
-                const p = map._prjToContainerPoint(c['center']);
+                const p = map._prjToContainerPoint(this._getClusterCenter(c));
                 if (!drawn[c.key]) {
                     drawn[c.key] = 1;
                     this._drawCluster(p, c, 1 - ratio);
@@ -371,18 +1538,15 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
         if (ratio === 0 || !toClusters) {
             return;
         }
-        const z = parentClusters.zoom,
-            r = map._getResolution(z) * this.layer.options['maxClusterRadius'],
-            min = this._markerExtent.getMin();
+        const z = this._getClusterZoom(parentClusters.zoom),
+            parentCache = this._clusterCache ? this._clusterCache[z] : null;
         toClusters.forEach(c => {
-            let pt = map._prjToContainerPoint(c['center']);
-            const center = c.center;
-            const pgx = Math.floor((center.x - min.x) / r),
-                pgy = Math.floor((center.y - min.y) / r);
-            const pkey = pgx + '_' + pgy;
-            const parent = this._clusterCache[z] ? this._clusterCache[z]['clusterMap'][pkey] : null;
-            if (parent) {
-                const pp = map._prjToContainerPoint(parent['center']);
+            let pt = map._prjToContainerPoint(this._getClusterCenter(c));
+            // find the cluster containing c in parent zoom from the cluster tree
+            const ancestor = getAncestorNode(c['node'], z);
+            const parent = parentCache ? parentCache['clusterMap'][ancestor.id] : null;
+            if (parent && parent['node'] === ancestor) {
+                const pp = map._prjToContainerPoint(this._getClusterCenter(parent));
                 pt = pp.add(pt.sub(pp)._multi(ratio));
             }
             this._drawCluster(pt, c, ratio > 0.5 ? 1 : ratio);
@@ -390,30 +1554,48 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
     }
 
     _drawClusters(clusters, ratio) {
-        if (!clusters) {
+        const map = this.getMap();
+        if (!clusters && !this._getHeatmapOpacity(map.getZoom())) {
             return;
         }
         this._clusterMaskExtent = this.prepareCanvas();
-        const map = this.getMap();
+        this._drawHeatmap();
+        if (!clusters) {
+            return;
+        }
+        this._drawClusterHull(clusters);
         clusters.forEach(c => {
-            const pt = map._prjToContainerPoint(c['center']);
+            const pt = map._prjToContainerPoint(this._getClusterCenter(c));
             this._drawCluster(pt, c, ratio > 0.5 ? 1 : ratio);
         });
 
     }
 
     _drawCluster(pt, cluster, op) {
+        if (this._spiderfied && this._spiderfied.cluster === cluster) {
+            return;
+        }
         this._currentGrid = cluster;
         const ctx = this.context;
-        const sprite = this._getSprite();
+        const sprite = this._isHexbinPolygon(cluster) ? null : this._getClusterSprite(cluster);
         const opacity = ctx.globalAlpha;
+        // fade out into the heatmap
+        op *= 1 - (this._heatmapOpacity || 0);
         if (opacity * op === 0) {
             return;
         }
         ctx.globalAlpha = opacity * op;
-        if (sprite) {
+        if (this._isHexbinPolygon(cluster)) {
+            this._drawHexagon(pt, cluster);
+        } else if (sprite) {
             const pos = pt.add(sprite.offset)._sub(sprite.canvas.width / 2, sprite.canvas.height / 2);
-            ctx.drawImage(sprite.canvas, pos.x, pos.y);
+            maptalks.Canvas.image(ctx, sprite.canvas, pos.x, pos.y);
+            if (this._getRepresentativeMarker(cluster)) {
+                // text is drawn in the badge at the top right corner of the representative marker
+                this._drawBadge(pos.add(sprite.canvas.width, 0), cluster);
+                ctx.globalAlpha = opacity;
+                return;
+            }
         }
 
         if (this.layer.options['drawClusterText'] && cluster['textSize']) {
@@ -427,220 +1609,2944 @@ ClusterLayer.registerRenderer('canvas', class extends maptalks.renderer.VectorLa
         ctx.globalAlpha = opacity;
     }
 
-    _getClusterText(cluster) {
-        const text = this.layer.options['textSumProperty'] ? cluster['textSumProperty'] : cluster['count'];
-        return text + '';
+    /**
+     * Get the sprite of the cluster: sprite of its representative marker if representative is set, or of cluster's symbol
+     * @param  {Object} cluster - cluster
+     * @return {Object} sprite: { canvas, offset }
+     * @private
+     */
+    _getClusterSprite(cluster) {
+        this._currentGrid = cluster;
+        const marker = this._getRepresentativeMarker(cluster);
+        const sprite = marker ? this._getMarkerSprite(marker) : null;
+        return sprite || this._getSprite();
     }
 
-    _getSprite() {
+    /**
+     * Get the sprite of a marker's symbol, rendered by an unbound copy of the marker,
+     * as symbolizers of markers bound to the layer can't render sprites.
+     * @param  {Marker} marker - marker
+     * @return {Object} sprite: { canvas, offset }
+     * @private
+     */
+    _getMarkerSprite(marker) {
         if (!this._spriteCache) {
             this._spriteCache = {};
         }
-        const key = maptalks.Util.getSymbolStamp(this._symbol);
+        const symbol = marker._getInternalSymbol(),
+            properties = marker.getProperties();
+        // symbols with function types are evaluated by the marker's properties
+        const evaluated = symbol && properties && [].concat(symbol).some(s => maptalks.MapboxUtil.hasFunctionDefinition(s));
+        const key = 'marker:' + (symbol ? maptalks.Util.getSymbolStamp(symbol) : '') + (evaluated ? JSON.stringify(properties) : '');
         if (!this._spriteCache[key]) {
-            this._spriteCache[key] = new maptalks.Marker([0, 0], { 'symbol' : this._symbol })._getSprite(this.resources, this.getMap().CanvasClass);
+            const options = symbol ? { 'symbol' : symbol, 'properties' : properties } : { 'properties' : properties };
+            this._spriteCache[key] = new maptalks.Marker([0, 0], options)._getSprite(this.resources, this.getMap().CanvasClass);
         }
         return this._spriteCache[key];
     }
 
-    _initGridSystem() {
-        const points = [];
-        let extent, c;
-        this.layer.forEach(g => {
-            if (!g.isVisible()) {
-                return;
-            }
-            c = g._getPrjCoordinates();
-            if (!extent) {
-                extent = g._getPrjExtent();
-            } else {
-                extent = extent._combine(g._getPrjExtent());
-            }
-            points.push({
-                x : c.x,
-                y : c.y,
-                id : g._getInternalId(),
-                geometry : g
-            });
-        });
-        this._markerExtent = extent;
-        this._markerPoints = points;
+    // representative marker of the cluster, null if representative is not set or it's not a marker
+    _getRepresentativeMarker(cluster) {
+        const index = cluster['representative'];
+        if (maptalks.Util.isNil(index)) {
+            return null;
+        }
+        const geo = this._getPointMarker(index);
+        return geo instanceof maptalks.Marker ? geo : null;
     }
 
-    _computeGrid() {
-        const map = this.getMap(),
-            zoom = map.getZoom();
-        if (!this._markerExtent) {
-            this._initGridSystem();
-        }
-        if (!this._clusterCache) {
-            this._clusterCache = {};
+    // draw a badge with cluster's text centered at pt
+    _drawBadge(pt, cluster) {
+        if (!this.layer.options['drawClusterText']) {
+            return;
         }
-        const pre = map._getResolution(map.getMinZoom()) > map._getResolution(map.getMaxZoom()) ? zoom - 1 : zoom + 1;
-        if (this._clusterCache[pre] && this._clusterCache[pre].length === this.layer.getCount()) {
-            this._clusterCache[zoom] = this._clusterCache[pre];
+        const ctx = this.context;
+        const text = this._getClusterText(cluster),
+            textSize = maptalks.StringUtil.stringLength(text, maptalks.StringUtil.getFont(this._badgeTextSymbol));
+        const symbol = maptalks.Util.extend({}, this._badgeSymbol);
+        // a pill for long texts, width is rounded up to 4 pixels to share sprites between badges
+        symbol['markerWidth'] = Math.max(symbol['markerWidth'], Math.ceil((textSize.width + symbol['markerHeight'] / 2) / 4) * 4);
+        const key = 'badge:' + maptalks.Util.getSymbolStamp(symbol);
+        if (!this._spriteCache) {
+            this._spriteCache = {};
         }
-        if (!this._clusterCache[zoom]) {
-            this._clusterCache[zoom] = this._computeZoomGrid(zoom);
+        if (!this._spriteCache[key]) {
+            this._spriteCache[key] = new maptalks.Marker([0, 0], { 'symbol' : symbol })._getSprite(this.resources, this.getMap().CanvasClass);
         }
+        const sprite = this._spriteCache[key];
+        maptalks.Canvas.image(ctx, sprite.canvas, pt.x - sprite.canvas.width / 2, pt.y - sprite.canvas.height / 2);
+        maptalks.Canvas.prepareCanvasFont(ctx, this._badgeTextSymbol);
+        ctx.textBaseline = 'middle';
+        maptalks.Canvas.fillText(ctx, text, pt.sub(textSize.width / 2, 0));
     }
 
-    _computeZoomGrid(zoom) {
-        if (!this._markerExtent) {
-            return null;
-        }
+    // whether the cluster is drawn as its hexagon
+    _isHexbinPolygon(cluster) {
+        return !!cluster['hexagon'] && this.layer.options['hexbinStyle'] === 'polygon';
+    }
+
+    // container points of cluster's hexagon, drawn at pt
+    _getHexagonPoints(pt, cluster) {
         const map = this.getMap(),
-            r = map._getResolution(zoom) * this.layer.options['maxClusterRadius'],
-            preT = map._getResolution(zoom - 1) ? map._getResolution(zoom - 1) * this.layer.options['maxClusterRadius'] : null;
-        let preCache = this._clusterCache[zoom - 1];
-        if (!preCache && zoom - 1 >= map.getMinZoom()) {
-            this._clusterCache[zoom - 1] = preCache = this._computeZoomGrid(zoom - 1);
-        }
-        // 1. format extent of markers to grids with raidus of r
-        // 2. find point's grid in the grids
-        // 3. sum up the point into the grid's collection
-        const points = this._markerPoints;
-        const sumProperty = this.layer.options['textSumProperty'];
-        const grids = {},
-            min = this._markerExtent.getMin();
-        let gx, gy, key,
-            pgx, pgy, pkey;
-        for (let i = 0, len = points.length; i < len; i++) {
-            const geo = points[i].geometry;
-            let sumProp = 0;
-
-            if (sumProperty && geo.getProperties() && geo.getProperties()[sumProperty]) {
-                sumProp = geo.getProperties()[sumProperty];
-            }
-
-            gx = Math.floor((points[i].x - min.x) / r);
-            gy = Math.floor((points[i].y - min.y) / r);
-            key = gx + '_' + gy;
-            if (!grids[key]) {
-                grids[key] = {
-                    'sum' : new maptalks.Coordinate(points[i].x, points[i].y),
-                    'center' : new maptalks.Coordinate(points[i].x, points[i].y),
-                    'count' : 1,
-                    'textSumProperty' : sumProp,
-                    'children' :[geo],
-                    'key' : key + ''
-                };
-                if (preT && preCache) {
-                    pgx = Math.floor((points[i].x - min.x) / preT);
-                    pgy = Math.floor((points[i].y - min.y) / preT);
-                    pkey = pgx + '_' + pgy;
-                    grids[key]['parent'] = preCache['clusterMap'][pkey];
-                }
-            } else {
+            center = map._prjToContainerPoint(cluster['hexCenter']);
+        return cluster['hexagon'].map(c => map._prjToContainerPoint(c)._sub(center)._add(pt));
+    }
 
-                grids[key]['sum']._add(new maptalks.Coordinate(points[i].x, points[i].y));
-                grids[key]['count']++;
-                grids[key]['center'] = grids[key]['sum'].multi(1 / grids[key]['count']);
-                grids[key]['children'].push(geo);
-                grids[key]['textSumProperty'] += sumProp;
-            }
-        }
-        return this._mergeClusters(grids, r / 2);
+    _drawHexagon(pt, cluster) {
+        this._drawPolygon(this._getHexagonPoints(pt, cluster), this._hexbinSymbol);
     }
 
-    _mergeClusters(grids, r) {
-        const clusterMap = {};
-        for (const p in grids) {
-            clusterMap[p] = grids[p];
-        }
+    // draw a polygon of container points with polygonFill, polygonOpacity, lineColor, lineWidth and lineOpacity of the symbol
+    _drawPolygon(points, symbol) {
+        const ctx = this.context;
+        const opacity = ctx.globalAlpha;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+        if (symbol['polygonFill']) {
+            ctx.fillStyle = symbol['polygonFill'];
+            ctx.globalAlpha = opacity * (maptalks.Util.isNil(symbol['polygonOpacity']) ? 1 : symbol['polygonOpacity']);
+            ctx.fill();
+        }
+        if (symbol['lineWidth'] !== 0) {
+            ctx.strokeStyle = symbol['lineColor'] || '#000';
+            ctx.lineWidth = maptalks.Util.isNil(symbol['lineWidth']) ? 1 : symbol['lineWidth'];
+            ctx.globalAlpha = opacity * (maptalks.Util.isNil(symbol['lineOpacity']) ? 1 : symbol['lineOpacity']);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = opacity;
+    }
+
+    /**
+     * Get opacity of the heatmap at the zoom: 1 below heatmapZoom - heatmapFadeRange, fading out to 0 at heatmapZoom,
+     * while clusters fade in.
+     * @param  {Number} zoom - map zoom
+     * @return {Number} opacity
+     * @private
+     */
+    _getHeatmapOpacity(zoom) {
+        if (this.layer.options['overviewMode'] === 'heatmap' && this._isOverviewZoom(zoom)) {
+            return 1;
+        }
+        const heatmapZoom = this.layer.options['heatmapZoom'],
+            range = this.layer.options['heatmapFadeRange'];
+        if (maptalks.Util.isNil(heatmapZoom) || zoom >= heatmapZoom) {
+            return 0;
+        }
+        return range > 0 ? Math.min(1, (heatmapZoom - zoom) / range) : 1;
+    }
+
+    // draw kernel density of the markers in view, with markers summed up in cells of half the radius
+    _drawHeatmap() {
+        const map = this.getMap();
+        this._heatmapOpacity = this._getHeatmapOpacity(map.getZoom());
+        if (!this._heatmapOpacity) {
+            return;
+        }
+        if (!this._markerPoints) {
+            this._initGridSystem();
+        }
+        const heatmap = this._getHeatmap();
+        if (!heatmap.canvas) {
+            return;
+        }
+        // translated and scaled while the map is interacting
+        const offset = map._prjToContainerPoint(heatmap.origin),
+            scale = heatmap.resolution / map._getResolution();
+        const opacity = this.context.globalAlpha;
+        this.context.globalAlpha = opacity * this._heatmapOpacity;
+        maptalks.Canvas.image(this.context, heatmap.canvas, offset.x, offset.y, heatmap.width * scale, heatmap.height * scale);
+        this.context.globalAlpha = opacity;
+    }
+
+    // colorized heatmap of current view, reused while the map is interacting or the view is not changed
+    _getHeatmap() {
+        const map = this.getMap(),
+            size = map.getSize(),
+            cached = this._heatmap;
+        if (cached && cached.bearing === map.getBearing() && cached.pitch === map.getPitch()) {
+            if (map.isInteracting()) {
+                return cached;
+            }
+            const offset = map._prjToContainerPoint(cached.origin);
+            if (cached.resolution === map._getResolution() && cached.width === size.width && cached.height === size.height &&
+                Math.abs(offset.x) < 0.5 && Math.abs(offset.y) < 0.5) {
+                return cached;
+            }
+        }
+        this._heatmap = {
+            canvas : this._renderHeatmap(),
+            origin : map._containerPointToPrj(new maptalks.Point(0, 0)),
+            resolution : map._getResolution(),
+            bearing : map.getBearing(),
+            pitch : map.getPitch(),
+            width : size.width,
+            height : size.height
+        };
+        return this._heatmap;
+    }
+
+    /**
+     * Render the heatmap of markers in current view to a canvas of map's size
+     * @return {HTMLCanvasElement} canvas, null if there are no markers in view
+     * @private
+     */
+    _renderHeatmap() {
+        const map = this.getMap();
+        const options = this.layer.options,
+            radius = options['heatmapRadius'],
+            size = map.getSize(),
+            weighted = !!options['weightProperty'];
+        const brush = this._getHeatmapBrush(),
+            r = brush.width / 2,
+            cellSize = radius / 2,
+            cols = Math.ceil((size.width + r * 2) / cellSize),
+            rows = Math.ceil((size.height + r * 2) / cellSize);
+        const sums = new Float64Array(cols * rows),
+            xs = new Float64Array(cols * rows),
+            ys = new Float64Array(cols * rows);
+        const points = this._markerPoints,
+            extent = map.getProjExtent()._expand(map._getResolution() * r);
+        let max = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            if (!p || p.x < extent.xmin || p.x > extent.xmax || p.y < extent.ymin || p.y > extent.ymax) {
+                continue;
+            }
+            const pt = map._prjToContainerPoint(new maptalks.Coordinate(p.x, p.y));
+            const col = Math.floor((pt.x + r) / cellSize),
+                row = Math.floor((pt.y + r) / cellSize);
+            if (col < 0 || row < 0 || col >= cols || row >= rows) {
+                continue;
+            }
+            const w = weighted ? p.weight : 1,
+                cell = row * cols + col;
+            sums[cell] += w;
+            xs[cell] += pt.x * w;
+            ys[cell] += pt.y * w;
+            max = Math.max(max, sums[cell]);
+        }
+        if (!max) {
+            return null;
+        }
+        max = options['heatmapMax'] || max;
+        if (!this._heatmapCanvas || this._heatmapCanvas.width !== size.width || this._heatmapCanvas.height !== size.height) {
+            this._heatmapCanvas = maptalks.Canvas.createCanvas(size.width, size.height, map.CanvasClass);
+        }
+        const canvas = this._heatmapCanvas,
+            ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, size.width, size.height);
+        for (let i = 0; i < sums.length; i++) {
+            if (!sums[i]) {
+                continue;
+            }
+            // at the weighted center of markers in the cell
+            ctx.globalAlpha = Math.min(1, Math.max(sums[i] / max, 0.05));
+            ctx.drawImage(brush, xs[i] / sums[i] - r, ys[i] / sums[i] - r);
+        }
+        // colorize by alpha
+        const image = ctx.getImageData(0, 0, size.width, size.height),
+            data = image.data,
+            palette = this._getHeatmapPalette();
+        for (let i = 0; i < data.length; i += 4) {
+            const j = data[i + 3] * 4;
+            if (j) {
+                data[i] = palette[j];
+                data[i + 1] = palette[j + 1];
+                data[i + 2] = palette[j + 2];
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    // a blurred circle of heatmapRadius
+    _getHeatmapBrush() {
+        if (!this._heatmapBrush) {
+            const radius = this.layer.options['heatmapRadius'],
+                blur = this.layer.options['heatmapBlur'] || 0,
+                r = radius + blur;
+            const brush = this._heatmapBrush = maptalks.Canvas.createCanvas(r * 2, r * 2, this.getMap().CanvasClass),
+                ctx = brush.getContext('2d');
+            // draw the circle out of the canvas and only its shadow inside
+            ctx.shadowOffsetX = ctx.shadowOffsetY = r * 2;
+            ctx.shadowBlur = blur;
+            ctx.shadowColor = 'black';
+            ctx.beginPath();
+            ctx.arc(-r, -r, radius, 0, Math.PI * 2, true);
+            ctx.closePath();
+            ctx.fill();
+        }
+        return this._heatmapBrush;
+    }
+
+    // colors of alpha from 0 to 255 by heatmapGradient: [r0, g0, b0, a0, r1, g1, b1, a1, ...]
+    _getHeatmapPalette() {
+        if (!this._heatmapPalette) {
+            const gradient = this.layer.options['heatmapGradient'] || defaultHeatmapGradient;
+            const canvas = maptalks.Canvas.createCanvas(1, 256, this.getMap().CanvasClass),
+                ctx = canvas.getContext('2d');
+            const linear = ctx.createLinearGradient(0, 0, 0, 256);
+            for (const stop in gradient) {
+                linear.addColorStop(+stop, gradient[stop]);
+            }
+            ctx.fillStyle = linear;
+            ctx.fillRect(0, 0, 1, 256);
+            this._heatmapPalette = ctx.getImageData(0, 0, 1, 256).data;
+        }
+        return this._heatmapPalette;
+    }
+
+    // draw hull of the hovered cluster under the clusters
+    _drawClusterHull(clusters) {
+        const cluster = this._hoveredCluster;
+        if (!this.layer.options['clusterHull'] || !cluster || clusters.indexOf(cluster) < 0) {
+            return;
+        }
+        const map = this.getMap(),
+            projection = map.getProjection();
+        const points = this._getClusterHull(cluster).map(c => map._prjToContainerPoint(projection.project(c)));
+        if (points.length < 2) {
+            return;
+        }
+        this._drawPolygon(points, this.layer.options['clusterHullSymbol'] || defaultHullSymbol);
+    }
+
+    /**
+     * Get the hull of the cluster's markers, cached by cluster's node if points is not given
+     * @param  {Object} cluster     - cluster
+     * @param  {Object[]} [points=null] - records of the cluster's markers, current ones of the cluster by default
+     * @return {Coordinate[]} coordinates of the hull
+     * @private
+     */
+    _getClusterHull(cluster, points) {
+        const node = cluster['node'];
+        if (points) {
+            return this._computeHull(points, node.zoom);
+        }
+        if (!this._hullCache) {
+            this._hullCache = {};
+        }
+        const cached = this._hullCache[node.id];
+        if (cached && cached.version === node.version && cached.zoom === node.zoom && cached.tree === this._clusterTree) {
+            return cached.coordinates;
+        }
+        const coordinates = this._computeHull(cluster['leaves'].map(i => this._markerPoints[i]), node.zoom);
+        this._hullCache[node.id] = {
+            version : node.version,
+            zoom : node.zoom,
+            tree : this._clusterTree,
+            coordinates : coordinates
+        };
+        return coordinates;
+    }
+
+    _computeHull(points, zoom) {
+        const map = this.getMap(),
+            projection = map.getProjection(),
+            alpha = this.layer.options['clusterHullAlpha'];
+        const coords = points.map(p => [p.x, p.y]);
+        // alpha is in pixels of the zoom the cluster is created
+        const hull = isNumber(alpha) && alpha > 0 ? concaveHull(coords, alpha * map._getResolution(zoom)) : convexHull(coords);
+        return hull.map(c => projection.unproject(new maptalks.Coordinate(c)));
+    }
+
+    _getClusterText(cluster) {
+        const textFormat = this.layer.options['textFormat'];
+        if (!textFormat) {
+            const text = this.layer.options['textSumProperty'] ? cluster['textSumProperty'] : cluster['count'];
+            return text + '';
+        }
+        if (cluster['text'] === undefined) {
+            const format = value => this._formatNumber(value);
+            if (maptalks.Util.isFunction(textFormat)) {
+                cluster['text'] = textFormat(this._getClusterModel(cluster), format) + '';
+            } else {
+                // {count}, {weight}, {sum} of textSumProperty, {name} of clusterProperties or {type:property}, e.g. {sum:revenue}
+                cluster['text'] = textFormat.replace(textTemplateRegex, (match, name, property) => {
+                    let value;
+                    if (property) {
+                        value = cluster['textValues'][name + ':' + property];
+                    } else if (name === 'count' || name === 'weight') {
+                        value = cluster[name];
+                    } else if (name === 'sum') {
+                        value = cluster['textSumProperty'];
+                    } else {
+                        value = cluster['properties'][name];
+                    }
+                    return format(value);
+                });
+            }
+        }
+        return cluster['text'];
+    }
+
+    /**
+     * Format a number of cluster text with textAbbreviate (1.2k, 3.4M), textDecimals and textLocale
+     * @param  {*} value - value to format, values other than numbers are converted to strings
+     * @return {String}
+     * @private
+     */
+    _formatNumber(value) {
+        if (!isNumber(value)) {
+            return maptalks.Util.isNil(value) ? '' : value + '';
+        }
+        const options = this.layer.options,
+            decimals = options['textDecimals'];
+        let suffix = '';
+        if (options['textAbbreviate']) {
+            const precision = Math.pow(10, decimals),
+                abs = Math.abs(value);
+            let i = numberAbbreviations.length - 1;
+            while (i >= 0 && abs < numberAbbreviations[i][0]) {
+                i--;
+            }
+            // 999950 is abbreviated as 1M instead of 1000k
+            if (i < numberAbbreviations.length - 1 && Math.round(abs / (i >= 0 ? numberAbbreviations[i][0] : 1) * precision) >= 1000 * precision) {
+                i++;
+            }
+            if (i >= 0) {
+                value /= numberAbbreviations[i][0];
+                suffix = numberAbbreviations[i][1];
+            }
+        }
+        return value.toLocaleString(options['textLocale'] || undefined, { 'maximumFractionDigits' : decimals }) + suffix;
+    }
+
+    /**
+     * Create aggregators of clusterProperties and aggregates of textFormat's template, e.g. {sum:revenue}
+     * @return {Object[]} aggregators
+     * @private
+     */
+    _createAggregators() {
+        const aggregators = createAggregators(this.layer.options['clusterProperties']),
+            textFormat = this.layer.options['textFormat'];
+        if (!maptalks.Util.isString(textFormat)) {
+            return aggregators;
+        }
+        return aggregators.concat(createAggregators(getTemplateAggregates(textFormat)).map(agg => {
+            // values in the text only, not in cluster's properties
+            agg.text = true;
+            return agg;
+        }));
+    }
+
+    _getSprite() {
+        if (!this._spriteCache) {
+            this._spriteCache = {};
+        }
+        if (this.layer.options['chartProperty'] && this._currentGrid && this._currentGrid['breakdown']) {
+            return this._getChartSprite(this._currentGrid);
+        }
+        const grid = this._currentGrid;
+        // symbol of the cluster's group
+        let symbol = grid && (grid['node'] && grid['node'].overview && this._overviewSymbol || this._groupSymbols[grid['group']]) || this._symbol;
+        const autoSize = this._getAutoSize(grid);
+        if (autoSize) {
+            symbol = maptalks.Util.extend({}, symbol, { 'markerWidth' : autoSize, 'markerHeight' : autoSize });
+        }
+        const key = maptalks.Util.getSymbolStamp(symbol);
+        if (!this._spriteCache[key]) {
+            this._spriteCache[key] = new maptalks.Marker([0, 0], { 'symbol' : symbol })._getSprite(this.resources, this.getMap().CanvasClass);
+        }
+        return this._spriteCache[key];
+    }
+
+    /**
+     * Get the sprite of a pie or donut chart with the cluster's breakdown by chartProperty,
+     * size and lines of the chart are defined by the cluster's symbol.
+     * @param  {Object} cluster - cluster
+     * @return {Object} sprite: { canvas, offset }
+     * @private
+     */
+    _getChartSprite(cluster) {
+        const symbol = this._symbol,
+            options = this.layer.options;
+        const breakdown = cluster['breakdown'],
+            categories = this._getChartCategories(breakdown);
+        const size = this._getAutoSize(cluster) || Math.min(symbol['markerWidth'], symbol['markerHeight']),
+            lineWidth = symbol['markerLineWidth'] || 0,
+            inner = options['chartType'] === 'donut' ? options['chartInnerRadius'] : 0;
+        // slices are rounded to percentages to share sprites between clusters
+        const slices = categories.map(c => [this._getChartColor(c), Math.round(breakdown[c] / cluster['count'] * 100)]);
+        const key = 'chart:' + JSON.stringify([size, lineWidth, symbol['markerLineColor'], symbol['markerLineOpacity'], symbol['markerFillOpacity'], inner, slices]);
+        if (this._spriteCache[key]) {
+            return this._spriteCache[key];
+        }
+        const width = Math.ceil(size + lineWidth);
+        const canvas = maptalks.Canvas.createCanvas(width, width, this.getMap().CanvasClass),
+            ctx = canvas.getContext('2d');
+        const c = width / 2,
+            r = size / 2;
+        const total = slices.reduce((sum, slice) => sum + slice[1], 0);
+        ctx.globalAlpha = maptalks.Util.isNil(symbol['markerFillOpacity']) ? 1 : symbol['markerFillOpacity'];
+        let start = -Math.PI / 2;
+        slices.forEach(slice => {
+            if (!slice[1]) {
+                return;
+            }
+            const end = start + slice[1] / total * Math.PI * 2;
+            ctx.beginPath();
+            ctx.moveTo(c, c);
+            ctx.arc(c, c, r, start, end);
+            ctx.closePath();
+            ctx.fillStyle = slice[0];
+            ctx.fill();
+            start = end;
+        });
+        if (inner > 0) {
+            ctx.globalAlpha = 1;
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.beginPath();
+            ctx.arc(c, c, r * inner, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalCompositeOperation = 'source-over';
+        }
+        if (lineWidth > 0) {
+            ctx.globalAlpha = maptalks.Util.isNil(symbol['markerLineOpacity']) ? 1 : symbol['markerLineOpacity'];
+            ctx.strokeStyle = symbol['markerLineColor'] || '#000';
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.arc(c, c, r, 0, Math.PI * 2);
+            ctx.stroke();
+            if (inner > 0) {
+                ctx.beginPath();
+                ctx.arc(c, c, r * inner, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+        this._spriteCache[key] = {
+            'canvas' : canvas,
+            'offset' : new maptalks.Point(0, 0)
+        };
+        return this._spriteCache[key];
+    }
+
+    // categories in chart, ordered by chartColors and then by name
+    _getChartCategories(breakdown) {
+        const colors = this.layer.options['chartColors'] || {};
+        const ordered = Object.keys(colors);
+        return Object.keys(breakdown).sort((a, b) => {
+            const ia = ordered.indexOf(a),
+                ib = ordered.indexOf(b);
+            if (ia >= 0 || ib >= 0) {
+                return (ia < 0 ? ordered.length : ia) - (ib < 0 ? ordered.length : ib);
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        });
+    }
+
+    _getChartColor(category) {
+        const colors = this.layer.options['chartColors'];
+        if (colors && colors[category]) {
+            return colors[category];
+        }
+        if (!this._chartColors) {
+            this._chartColors = {};
+        }
+        if (!this._chartColors[category]) {
+            const count = Object.keys(this._chartColors).length;
+            this._chartColors[category] = chartPalette[count % chartPalette.length];
+        }
+        return this._chartColors[category];
+    }
+
+    _resetClusters() {
+        // aggregates and breakdowns are computed with the clusters
+        delete this._clusterCache;
+        delete this._overviewCache;
+        delete this._chartColors;
+        this._spriteCache = {};
+        this._stopAnim();
+        this.setToRedraw();
+    }
+
+    _initGridSystem() {
+        delete this._heatmap;
+        const points = [],
+            pointIndex = {},
+            unclustered = [];
+        let extent, c;
+        // features of data are before markers, as markers added later are appended
+        const data = this.layer._data;
+        if (data && data.length) {
+            let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+            for (let i = 0; i < data.length; i++) {
+                c = this._getRepresentativePoint(data[i]);
+                const point = {
+                    x : c.x,
+                    y : c.y,
+                    id : null,
+                    feature : data[i],
+                    geometry : null,
+                    // to cull lines and polygons by their extents
+                    extent : this._getFeaturePrjExtent(data[i]),
+                    // to derive ids of clusters from their members
+                    hash : hashString('f:' + (maptalks.Util.isNil(data[i]['id']) ? i : data[i]['id'])),
+                    group : this._getGroup(data[i]),
+                    weight : this._getWeight(data[i])
+                };
+                if (!this._isClusterable(data[i])) {
+                    unclustered.push(point);
+                    continue;
+                }
+                xmin = Math.min(xmin, c.x);
+                ymin = Math.min(ymin, c.y);
+                xmax = Math.max(xmax, c.x);
+                ymax = Math.max(ymax, c.y);
+                points.push(point);
+            }
+            if (points.length) {
+                extent = new maptalks.Extent(xmin, ymin, xmax, ymax);
+            }
+        }
+        this.layer.forEach(g => {
+            if (!g.isVisible()) {
+                return;
+            }
+            c = this._getRepresentativePoint(g);
+            if (!this._isClusterable(g)) {
+                unclustered.push({
+                    x : c.x,
+                    y : c.y,
+                    id : g._getInternalId(),
+                    geometry : g
+                });
+                return;
+            }
+            if (!extent) {
+                extent = g._getPrjExtent();
+            } else {
+                extent = extent._combine(g._getPrjExtent());
+            }
+            pointIndex[g._getInternalId()] = points.length;
+            points.push({
+                x : c.x,
+                y : c.y,
+                id : g._getInternalId(),
+                geometry : g,
+                hash : hashString('g:' + g._getInternalId()),
+                group : this._getGroup(g),
+                weight : this._getWeight(g)
+            });
+        });
+        this._markerExtent = extent;
+        this._markerPoints = points;
+        this._markerPointIndex = pointIndex;
+        this._unclusteredPoints = unclustered;
+    }
+
+    /**
+     * Whether a marker or a GeoJSON feature is clustered: marker's clusterable option is not false and layer's clusterFilter returns true
+     * @param  {Geometry|Object} geo - marker or GeoJSON feature
+     * @return {Boolean}
+     * @private
+     */
+    _isClusterable(geo) {
+        const filter = this.layer.options['clusterFilter'];
+        if (geo instanceof maptalks.Geometry) {
+            return geo.options['clusterable'] !== false && (!filter || !!filter(geo.getProperties() || {}, geo));
+        }
+        return !filter || !!filter(geo['properties'] || {}, geo);
+    }
+
+    /**
+     * Get id of the group a marker or a GeoJSON feature belongs to by groupBy, markers are only clustered with ones of the same group
+     * @param  {Geometry|Object} geo - marker or GeoJSON feature
+     * @return {Number} group id
+     * @private
+     */
+    _getGroup(geo) {
+        const groupBy = this.layer.options['groupBy'];
+        if (!groupBy) {
+            return 0;
+        }
+        const properties = (geo instanceof maptalks.Geometry ? geo.getProperties() : geo['properties']) || {};
+        const value = maptalks.Util.isFunction(groupBy) ? groupBy(properties, geo) : properties[groupBy];
+        if (!this._groupIds) {
+            this._groupIds = {};
+            this._groupValues = [];
+        }
+        const key = value + '';
+        if (this._groupIds[key] === undefined) {
+            this._groupIds[key] = this._groupValues.length;
+            this._groupValues.push(value);
+        }
+        return this._groupIds[key];
+    }
+
+    // weight of a marker or a GeoJSON feature by weightProperty, invalid or negative weights are 0
+    _getWeight(geo) {
+        const weightProperty = this.layer.options['weightProperty'];
+        if (!weightProperty) {
+            return 1;
+        }
+        const properties = geo instanceof maptalks.Geometry ? geo.getProperties() : geo['properties'];
+        const weight = properties ? properties[weightProperty] : null;
+        return isNumber(weight) && weight > 0 ? weight : 0;
+    }
+
+    /**
+     * Get the min count of markers to draw as a cluster, clusters with less markers are drawn as markers.
+     * noise of dbscan is always drawn as markers
+     * @return {Number}
+     * @private
+     */
+    _getMinClusterSize() {
+        const options = this.layer.options;
+        let min = options['minClusterSize'];
+        if (!isNumber(min) || min < 1) {
+            min = options['noClusterWithOneMarker'] ? 2 : 1;
+        }
+        return options['clusterMode'] === 'dbscan' ? Math.max(min, 2) : min;
+    }
+
+    /**
+     * Get the point to cluster a geometry or a GeoJSON feature by, in projected coordinates.
+     * Markers are clustered by their coordinates, other geometries by representativePoint.
+     * @param  {Geometry|Object} geo - geometry or GeoJSON feature
+     * @return {Coordinate} projected coordinate
+     * @private
+     */
+    _getRepresentativePoint(geo) {
+        if (geo instanceof maptalks.Marker) {
+            return geo._getPrjCoordinates();
+        }
+        const projection = this.getMap().getProjection();
+        if (!(geo instanceof maptalks.Geometry)) {
+            return projection.project(this._getRepresentativeCoordinate(geo['geometry']));
+        }
+        // cached by geometries, removed when they are changed
+        if (!this._representativeCache) {
+            this._representativeCache = {};
+        }
+        const id = geo._getInternalId();
+        if (!this._representativeCache[id]) {
+            this._representativeCache[id] = this._getRepresentativeCoordinate(geo.toGeoJSONGeometry());
+        }
+        return projection.project(this._representativeCache[id]);
+    }
+
+    // representative coordinate of a GeoJSON geometry
+    _getRepresentativeCoordinate(geometry) {
+        const representative = this.layer.options['representativePoint'];
+        if (geometry['type'] !== 'Point' && maptalks.Util.isFunction(representative)) {
+            return new maptalks.Coordinate(representative(geometry));
+        }
+        return new maptalks.Coordinate(getRepresentativeCoordinate(geometry, representative));
+    }
+
+    // projected extent of a GeoJSON feature, null for points
+    _getFeaturePrjExtent(feature) {
+        const geometry = feature['geometry'];
+        if (geometry['type'] === 'Point') {
+            return null;
+        }
+        const projection = this.getMap().getProjection(),
+            bbox = getCoordinatesBBox(geometry['coordinates'], [Infinity, Infinity, -Infinity, -Infinity]);
+        return new maptalks.Extent(projection.project(new maptalks.Coordinate(bbox[0], bbox[1])), projection.project(new maptalks.Coordinate(bbox[2], bbox[3])));
+    }
+
+    // markers excluded from clustering
+    _getUnclusteredMarkers() {
+        if (!this._unclusteredPoints) {
+            return [];
+        }
+        return this._unclusteredPoints.map((p, i) => this._getPointMarker(i, this._unclusteredPoints));
+    }
+
+    /**
+     * Get the marker of a point, marker of a GeoJSON feature is created at the first time.
+     * @param  {Number} index    - index of the point
+     * @param  {Object[]} [points=null] - points the index belongs to, current points by default
+     * @return {Marker} marker
+     * @private
+     */
+    _getPointMarker(index, points) {
+        points = points || this._markerPoints;
+        const point = points[index];
+        if (!point.geometry) {
+            const marker = maptalks.GeoJSON.toGeometry(point.feature);
+            marker._setInternalId(maptalks.Util.UID());
+            marker._bindLayer(this.layer);
+            this.layer._styleGeometry(marker);
+            point.geometry = marker;
+            point.id = marker._getInternalId();
+            if (points === this._markerPoints) {
+                this._markerPointIndex[point.id] = index;
+            }
+        }
+        return point.geometry;
+    }
+
+    _getClusterMarkers(cluster) {
+        return cluster['leaves'].map(i => this._getPointMarker(i));
+    }
+
+    // markers of data's features in current view, to draw when markers are not clustered
+    _getDataMarkersInView() {
+        const data = this.layer._data;
+        if (!data || !data.length) {
+            return [];
+        }
+        if (!this._markerPoints) {
+            this._initGridSystem();
+        }
+        const map = this.getMap();
+        // with a margin for size of markers
+        const extent = map.getProjExtent()._expand(map._getResolution() * 128);
+        const markers = [];
+        [this._markerPoints, this._unclusteredPoints].forEach(points => {
+            for (let i = 0; i < points.length; i++) {
+                const p = points[i];
+                if (!p || !p.feature) {
+                    continue;
+                }
+                if (p.extent ? extent.intersects(p.extent) : p.x >= extent.xmin && p.x <= extent.xmax && p.y >= extent.ymin && p.y <= extent.ymax) {
+                    markers.push(this._getPointMarker(i, points));
+                }
+            }
+        });
+        return markers;
+    }
+
+    /**
+     * Compute clusters of the zoom, clusters of current zoom by default
+     * @param  {Number} [zoom=null]    - map zoom
+     * @param  {Boolean} [sync=false]  - whether to build the cluster tree in main thread even if useWorker is true
+     * @return {Object} clusters of the zoom, null if they are being computed in the worker
+     * @private
+     */
+    _computeGrid(zoom, sync) {
+        const map = this.getMap();
+        zoom = this._getClusterZoom(maptalks.Util.isNil(zoom) ? map.getZoom() : zoom);
+        if (!this._markerExtent) {
+            this._initGridSystem();
+        }
+        if (!this._clusterCache) {
+            this._clusterCache = {};
+        }
+        const tree = this._clusterTree;
+        if (!tree || zoom < tree.minZoom || zoom > tree.maxZoom) {
+            if (tree) {
+                // remove points deleted by incremental updates
+                this._initGridSystem();
+            }
+            if (this._isWorkerEnabled() && !sync) {
+                // clusters will be computed when worker's result arrives
+                this._buildClusterTreeInWorker();
+                return null;
+            }
+            this._clusterTree = this._buildClusterTree();
+            this._clusterCache = {};
+        }
+        const cache = this._clusterCache[zoom];
+        if (!cache || cache['stale']) {
+            this._clusterCache[zoom] = this._computeZoomGrid(zoom, cache);
+        }
+        return this._clusterCache[zoom];
+    }
+
+    /**
+     * Get clusters and unclustered markers of the zoom as GeoJSON features
+     * @param  {Number} zoom - map zoom
+     * @return {Object[]} features
+     * @private
+     */
+    _getClustersAsGeoJSON(zoom) {
+        if (this._clusterNeedRedraw) {
+            this._clearDataCache();
+            this._clusterNeedRedraw = false;
+            this.setToRedraw();
+        }
+        const maxClusterZoom = this.layer.options['maxClusterZoom'],
+            projection = this.getMap().getProjection();
+        const features = [];
+        if (maxClusterZoom && zoom > maxClusterZoom) {
+            if (!this._markerPoints) {
+                this._initGridSystem();
+            }
+            this._markerPoints.concat(this._unclusteredPoints).forEach(p => {
+                if (p) {
+                    features.push(getPointFeature(p, projection));
+                }
+            });
+            return features;
+        }
+        // summary clusters below minClusterZoom, or clusters of minClusterZoom in other overview modes
+        const grid = this._isOverviewZoom(zoom) && this.layer.options['overviewMode'] === 'summary' ? { 'clusters' : this._getOverviewClusters(zoom) } : this._computeGrid(zoom, true);
+        this._unclusteredPoints.forEach(p => features.push(getPointFeature(p, projection)));
+        if (!grid) {
+            return features;
+        }
+        const minSize = Math.max(this._getMinClusterSize(), 2);
+        grid['clusters'].forEach(c => {
+            if (c['count'] < minSize) {
+                c['leaves'].forEach(i => features.push(getPointFeature(this._markerPoints[i], projection)));
+                return;
+            }
+            const cluster = this._getClusterModel(c);
+            const properties = {
+                'cluster' : true,
+                'clusterId' : cluster.id,
+                'count' : cluster.count
+            };
+            if (this.layer.options['groupBy']) {
+                properties['group'] = cluster.group;
+            }
+            features.push({
+                'type' : 'Feature',
+                'id' : cluster.id,
+                'geometry' : {
+                    'type' : 'Point',
+                    'coordinates' : cluster.center.toArray()
+                },
+                'properties' : maptalks.Util.extend({}, cluster.properties, properties)
+            });
+        });
+        return features;
+    }
+
+    /**
+     * Get the zoom level of cluster tree to draw at the given map zoom.
+     * @param  {Number} zoom - map zoom
+     * @return {Number} integer zoom level
+     * @private
+     */
+    _getClusterZoom(zoom) {
+        const map = this.getMap(),
+            maxClusterZoom = this.layer.options['maxClusterZoom'],
+            minClusterZoom = this.layer.options['minClusterZoom'];
+        let maxZoom = Math.ceil(map.getMaxZoom()),
+            minZoom = Math.floor(map.getMinZoom());
+        if (maxClusterZoom) {
+            maxZoom = Math.min(maxZoom, Math.floor(maxClusterZoom));
+        }
+        // levels below minClusterZoom are not built in the cluster tree
+        if (!maptalks.Util.isNil(minClusterZoom)) {
+            minZoom = Math.min(maxZoom, Math.max(minZoom, Math.floor(minClusterZoom)));
+        }
+        return Math.max(minZoom, Math.min(maxZoom, Math.floor(zoom)));
+    }
+
+    _buildClusterTree() {
+        const params = this._getClusterTreeParams();
+        const points = this._markerPoints || [];
+        let weights = null;
+        if (this.layer.options['weightProperty']) {
+            // not needed by the worker, as weights of clusters are summed up when inflating its result
+            weights = new Float64Array(points.length);
+            for (let i = 0; i < points.length; i++) {
+                weights[i] = points[i].weight;
+            }
+        }
+        const mode = this.layer.options['clusterMode'];
+        if (mode === 'hexbin') {
+            return buildHexbinTree(params.coords, params.radius, params.minZoom, params.maxZoom, params.groups, weights);
+        } else if (mode === 'dbscan') {
+            return buildDbscanTree(params.coords, params.radius, this.layer.options['minPoints'], params.minZoom, params.maxZoom, params.groups, weights);
+        }
+        return buildClusterTree(params.coords, params.radius, params.minZoom, params.maxZoom, params.groups, weights);
+    }
+
+    _getClusterTreeParams() {
+        const map = this.getMap(),
+            points = this._markerPoints || [];
+        const coords = new Float64Array(points.length * 2),
+            groups = this.layer.options['groupBy'] ? new Int32Array(points.length) : null;
+        for (let i = 0, len = points.length; i < len; i++) {
+            coords[i * 2] = points[i].x;
+            coords[i * 2 + 1] = points[i].y;
+            if (groups) {
+                groups[i] = points[i].group;
+            }
+        }
+        const minZoom = this._getClusterZoom(map.getMinZoom()),
+            maxZoom = this._getClusterZoom(map.getMaxZoom());
+        // markers within half of maxClusterRadius from a cluster's first marker are merged into it,
+        // or eps in dbscan mode
+        const eps = this.layer.options['clusterMode'] === 'dbscan' ? this.layer.options['eps'] : null,
+            radiusFn = this._getClusterRadiusFn();
+        const radius = {};
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const pixels = eps !== null ? eps : radiusFn(z) / 2;
+            radius[z] = map._getResolution(z) * pixels;
+        }
+        return {
+            coords : coords,
+            groups : groups,
+            radius : radius,
+            minZoom : minZoom,
+            maxZoom : maxZoom
+        };
+    }
+
+    /**
+     * Get the function of maxClusterRadius by zoom, maxClusterRadius can be a number, a function of zoom,
+     * or a function type with zoom stops, e.g. { stops : [[5, 200], [15, 60]] }
+     * @return {Function} function(zoom) returns radius in pixels
+     * @private
+     */
+    _getClusterRadiusFn() {
+        const maxClusterRadius = this.layer.options['maxClusterRadius'];
+        let fn;
+        if (maptalks.Util.isFunction(maxClusterRadius)) {
+            fn = maxClusterRadius;
+        } else if (maptalks.MapboxUtil.isFunctionDefinition(maxClusterRadius)) {
+            fn = maptalks.MapboxUtil.interpolated(maxClusterRadius);
+        } else {
+            fn = () => maxClusterRadius;
+        }
+        return zoom => {
+            const r = fn(zoom);
+            return isNumber(r) && r > 0 ? r : 0;
+        };
+    }
+
+    _isWorkerEnabled() {
+        // hexbins are fast enough to compute in main thread
+        return this.layer.options['useWorker'] && this.layer.options['clusterMode'] === 'default' && !this._workerFailed && isWorkerSupported();
+    }
+
+    _buildClusterTreeInWorker() {
+        if (this._workerTask) {
+            // wait for the pending one
+            return;
+        }
+        if (!this._worker) {
+            this._worker = new Worker(getClusterWorkerURL());
+            this._worker.onmessage = e => this._onWorkerMessage(e);
+            this._worker.onerror = () => this._onWorkerError();
+        }
+        const params = this._getClusterTreeParams();
+        this._workerTaskId = (this._workerTaskId || 0) + 1;
+        this._workerTask = {
+            id : this._workerTaskId,
+            points : this._markerPoints || [],
+            radius : params.radius
+        };
+        params.id = this._workerTaskId;
+        this._worker.postMessage(params, params.groups ? [params.coords.buffer, params.groups.buffer] : [params.coords.buffer]);
+    }
+
+    _onWorkerMessage(e) {
+        const task = this._workerTask,
+            data = e.data;
+        if (!task || task.id !== data.id || !this.layer) {
+            // outdated by data changes
+            return;
+        }
+        delete this._workerTask;
+        this._clusterTree = inflateClusterTree(task.points, task.radius, data);
+        this._clusterCache = {};
+        this._computeGrid();
+        this.setToRedraw();
+    }
+
+    _onWorkerError() {
+        // fall back to the synchronous mode
+        this._workerFailed = true;
+        this._terminateWorker();
+        if (this.layer) {
+            this.setToRedraw();
+        }
+    }
+
+    _terminateWorker() {
+        delete this._workerTask;
+        if (this._worker) {
+            this._worker.terminate();
+            delete this._worker;
+        }
+    }
+
+    _computeZoomGrid(zoom, previous) {
+        if (!this._markerExtent) {
+            return null;
+        }
+        const aggregators = this._createAggregators();
+        const nodes = getTreeLevel(this._clusterTree, zoom);
+        const clusters = [],
+            clusterMap = {};
+        for (let i = 0, len = nodes.length; i < len; i++) {
+            const node = nodes[i];
+            const old = previous ? previous['clusterMap'][node.id] : null;
+            if (old && old['node'] === node && old['version'] === node.version) {
+                // not changed since last update
+                clusters.push(old);
+                clusterMap[old.key] = old;
+                continue;
+            }
+            const cluster = this._createCluster(node, zoom, aggregators);
+            clusters.push(cluster);
+            clusterMap[cluster.key] = cluster;
+        }
+        if (this._clusterTree.hexbin && this.layer.options['hexbinStyle'] === 'polygon') {
+            // hexagons are drawn at their centers
+            clusters.forEach(c => {
+                c['displayCenter'] = c['hexCenter'];
+            });
+        } else {
+            this._spreadGroups(clusters, zoom);
+        }
+        return {
+            'clusters' : clusters,
+            'clusterMap' : clusterMap
+        };
+    }
+
+    /**
+     * Spread clusters of different groups closer than groupSpacing around their center to keep them readable.
+     * Clusters are drawn at their displayCenter if it's set.
+     * @param  {Object[]} clusters - clusters of the zoom
+     * @param  {Number} zoom       - zoom of the clusters
+     * @private
+     */
+    _spreadGroups(clusters, zoom) {
+        const minSize = this._getMinClusterSize(),
+            spacing = this.layer.options['groupSpacing'];
+        // markers not drawn as clusters are not spread
+        const drawn = clusters.filter(c => {
+            delete c['displayCenter'];
+            return c['count'] >= minSize;
+        });
+        if (!this.layer.options['groupBy'] || !spacing || drawn.length < 2) {
+            return;
+        }
+        const r = spacing * this.getMap()._getResolution(zoom);
+        const ids = new Uint32Array(drawn.length),
+            coords = new Float64Array(drawn.length * 2);
+        for (let i = 0; i < drawn.length; i++) {
+            ids[i] = i;
+            coords[i * 2] = drawn[i]['center'].x;
+            coords[i * 2 + 1] = drawn[i]['center'].y;
+        }
+        const index = createKDTree(ids, coords, 64),
+            visited = new Uint8Array(drawn.length);
+        for (let i = 0; i < drawn.length; i++) {
+            if (visited[i]) {
+                continue;
+            }
+            const center = drawn[i]['center'];
+            const overlapped = withinKDTree(index, center.x, center.y, r).filter(n => !visited[n]).sort(ascending);
+            overlapped.forEach(n => {
+                visited[n] = 1;
+            });
+            if (overlapped.every(n => drawn[n]['group'] === drawn[i]['group'])) {
+                continue;
+            }
+            // around a circle with neighbors spacing apart
+            const count = overlapped.length,
+                radius = r / (2 * Math.sin(Math.PI / count));
+            let x = 0, y = 0;
+            overlapped.forEach(n => {
+                x += drawn[n]['center'].x / count;
+                y += drawn[n]['center'].y / count;
+            });
+            overlapped.forEach((n, ii) => {
+                const angle = Math.PI / 2 + Math.PI * 2 * ii / count;
+                drawn[n]['displayCenter'] = new maptalks.Coordinate(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+            });
+        }
+    }
+
+    // projected coordinate where the cluster is drawn
+    _getClusterCenter(cluster) {
+        return cluster['displayCenter'] || cluster['center'];
+    }
+
+    /**
+     * Create the cluster of a node in the cluster tree
+     * @param  {Object} node          - node of the cluster tree
+     * @param  {Number} zoom          - zoom level of the cluster
+     * @param  {Object[]} aggregators - aggregators of clusterProperties
+     * @return {Object} cluster
+     * @private
+     */
+    _createCluster(node, zoom, aggregators) {
+        const points = this._markerPoints;
+        const sumProperty = this.layer.options['textSumProperty'],
+            chartProperty = this.layer.options['chartProperty'],
+            representative = this.layer.options['representative'];
+        const leaves = getNodeLeaves(node);
+        const breakdown = chartProperty ? {} : null,
+            values = aggregators.map(agg => agg.initial());
+        let sumProp = 0,
+            best = null, bestProperties = null,
+            hashSum = 0, hashXor = 0;
+        for (let i = 0; i < leaves.length; i++) {
+            const point = points[leaves[i]];
+            // hashes of members combined regardless of their order
+            hashSum = (hashSum + point.hash) >>> 0;
+            hashXor = (hashXor ^ mixHash(point.hash)) >>> 0;
+            const properties = point.geometry ? point.geometry.getProperties() : point.feature['properties'];
+            if (representative && (best === null || isBetterRepresentative(representative, properties || {}, bestProperties))) {
+                best = leaves[i];
+                bestProperties = properties || {};
+            }
+            if (sumProperty && properties && properties[sumProperty]) {
+                sumProp += properties[sumProperty];
+            }
+            if (breakdown) {
+                // count of children by the value of chartProperty
+                const category = properties ? properties[chartProperty] : null;
+                breakdown[category] = (breakdown[category] || 0) + 1;
+            }
+            for (let ii = 0; ii < aggregators.length; ii++) {
+                values[ii] = aggregators[ii].reduce(values[ii], aggregators[ii].map(properties || {}, point.geometry || point.feature));
+            }
+        }
+        // centers are weighted by weightProperty, or the mean of markers if they all weigh 0
+        const center = node.weight > 0 ? new maptalks.Coordinate(node.weightX / node.weight, node.weightY / node.weight) :
+            new maptalks.Coordinate(node.sumX / node.count, node.sumY / node.count);
+        const cluster = {
+            // id of summary clusters and hexagons are keys of their regions, or derived from the members
+            'id' : node.overview || node.hexX !== undefined ? node.id : node.count.toString(36) + '-' + hashSum.toString(36) + '-' + hashXor.toString(36),
+            'center' : center,
+            'count' : node.count,
+            'textSumProperty' : sumProp,
+            'breakdown' : breakdown,
+            // indexes of markers in the cluster
+            'leaves' : leaves,
+            'key' : node.id + '',
+            'node' : node,
+            'version' : node.version,
+            'zoom' : zoom,
+            'group' : this.layer.options['groupBy'] ? this._groupValues[node.group] : null,
+            'properties' : {},
+            'textValues' : {},
+            // index of the representative marker
+            'representative' : best
+        };
+        if (node.hexX !== undefined) {
+            const size = this._clusterTree.radius[node.zoom];
+            cluster['hexCenter'] = new maptalks.Coordinate(node.hexX, node.hexY);
+            cluster['hexagon'] = getHexagonVertices(node.hexX, node.hexY, size).map(v => new maptalks.Coordinate(v));
+        }
+        for (let i = 0; i < aggregators.length; i++) {
+            const name = aggregators[i].name,
+                value = aggregators[i].finish(values[i]);
+            if (aggregators[i].text) {
+                cluster['textValues'][name] = value;
+                continue;
+            }
+            cluster['properties'][name] = value;
+            // to be used as property in function types of symbol and textSymbol, as count
+            if (cluster[name] === undefined) {
+                cluster[name] = value;
+            }
+        }
+        if (this.layer.options['weightProperty'] && cluster['properties']['weight'] === undefined) {
+            cluster['properties']['weight'] = cluster['weight'] = node.weight;
+        }
+        return cluster;
+    }
+
+    /**
+     * Get the public model of a cluster, created once for a cluster in a version of the cluster tree
+     * @param  {Object} cluster - cluster
+     * @return {Cluster}
+     * @private
+     */
+    _getClusterModel(cluster) {
+        if (!cluster) {
+            return null;
+        }
+        const tree = this._clusterTree,
+            model = cluster['model'];
+        // clusters reused after incremental updates get a new model to get children in the updated tree
+        if (!model || model._tree !== tree || tree && model._treeVersion !== tree.version) {
+            cluster['model'] = new Cluster(this, cluster);
+        }
+        return cluster['model'];
+    }
+
+    /**
+     * Get children of a cluster in the upper zoom level: markers and clusters
+     * @param  {Object} node - node of the cluster
+     * @return {Array} markers and clusters
+     * @private
+     */
+    _getClusterChildren(node, children) {
+        const zoom = node.zoom + 1,
+            cache = this._clusterCache ? this._clusterCache[zoom] : null;
+        const minSize = Math.max(this._getMinClusterSize(), 2),
+            result = [];
+        let aggregators;
+        children.forEach(child => {
+            // children smaller than minClusterSize are expanded to markers
+            if (child.count < minSize) {
+                getNodeLeaves(child).forEach(i => result.push(this._getPointMarker(i)));
+                return;
+            }
+            let cluster = cache ? cache['clusterMap'][child.id] : null;
+            if (!cluster || cluster['node'] !== child || cluster['version'] !== child.version) {
+                aggregators = aggregators || this._createAggregators();
+                cluster = this._createCluster(child, zoom, aggregators);
+            }
+            result.push(this._getClusterModel(cluster));
+        });
+        return result;
+    }
+
+    _stopAnim() {
+        if (this._player && this._player.playState !== 'finished') {
+            this._player.finish();
+        }
+    }
+
+    onZoomStart(param) {
+        this._stopAnim();
+        this._unspiderfy();
+        super.onZoomStart(param);
+    }
+
+    onZoomEnd(param) {
+        if (this.layer.isEmpty() || !this.layer.isVisible()) {
+            super.onZoomEnd.apply(this, arguments);
+            return;
+        }
+        this._inout = param['from'] > param['to'] ? 'in' : 'out';
+        this._animated = true;
+        if (!this._isOverviewZoom(param['to'])) {
+            this._computeGrid();
+        }
+        super.onZoomEnd.apply(this, arguments);
+    }
+
+    _clearDataCache() {
+        this._stopAnim();
+        this._unspiderfy();
+        delete this._hoveredCluster;
+        delete this._markerExtent;
+        delete this._markerPoints;
+        delete this._markerPointIndex;
+        delete this._unclusteredPoints;
+        delete this._groupIds;
+        delete this._groupValues;
+        delete this._clusterCache;
+        delete this._clusterTree;
+        delete this._overviewCache;
+        delete this._hullCache;
+        delete this._workerTask;
+        delete this._zoomInClusters;
+    }
+});
+
+// reducers of clusterProperties' types
+const aggregateReducers = {
+    'sum' : {
+        initial : () => 0,
+        reduce : (a, b) => isNumber(b) ? a + b : a
+    },
+    'min' : {
+        initial : () => null,
+        reduce : (a, b) => isNumber(b) && (a === null || b < a) ? b : a
+    },
+    'max' : {
+        initial : () => null,
+        reduce : (a, b) => isNumber(b) && (a === null || b > a) ? b : a
+    },
+    'mean' : {
+        initial : () => [0, 0],
+        reduce : (a, b) => {
+            if (isNumber(b)) {
+                a[0] += b;
+                a[1]++;
+            }
+            return a;
+        },
+        finish : a => a[1] ? a[0] / a[1] : null
+    },
+    'countDistinct' : {
+        initial : () => ({}),
+        reduce : (a, b) => {
+            if (!maptalks.Util.isNil(b)) {
+                a[b] = 1;
+            }
+            return a;
+        },
+        finish : a => Object.keys(a).length
+    }
+};
+
+/**
+ * Get GeoJSON feature of a point not clustered, lines and polygons are exported as their representative points
+ * @private
+ */
+function getPointFeature(point, projection) {
+    const feature = point.geometry ? point.geometry.toGeoJSON() : maptalks.Util.extend({}, point.feature);
+    if (feature['geometry']['type'] !== 'Point') {
+        feature['geometry'] = {
+            'type' : 'Point',
+            'coordinates' : projection.unproject(new maptalks.Coordinate(point.x, point.y)).toArray()
+        };
+    }
+    feature['properties'] = maptalks.Util.extend({}, feature['properties'], {
+        'cluster' : false,
+        'count' : 1
+    });
+    return feature;
+}
+
+/**
+ * Create aggregators of clusterProperties, each aggregator is { name, initial, map, reduce, finish }:
+ * a cluster's value is reduced from initial() by the mapped values of its markers, and then finished.
+ * @param  {Object} clusterProperties - e.g. { 'total' : { 'type' : 'sum', 'property' : 'capacity' } }
+ * @return {Object[]} aggregators
+ * @private
+ */
+function createAggregators(clusterProperties) {
+    const aggregators = [];
+    if (!clusterProperties) {
+        return aggregators;
+    }
+    for (const name in clusterProperties) {
+        const def = clusterProperties[name];
+        const reducer = def['type'] ? aggregateReducers[def['type']] : null;
+        if (!reducer && !(maptalks.Util.isFunction(def['map']) && maptalks.Util.isFunction(def['reduce']))) {
+            throw new Error('Invalid clusterProperties ' + name + ', type should be one of ' + Object.keys(aggregateReducers).join(', ') + ' or map and reduce functions should be defined');
+        }
+        const property = def['property'];
+        if (reducer) {
+            aggregators.push({
+                name : name,
+                initial : reducer.initial,
+                map : properties => properties[property],
+                reduce : reducer.reduce,
+                finish : reducer.finish || identity
+            });
+        } else {
+            aggregators.push({
+                name : name,
+                // without initial, the first mapped value is the initial value
+                initial : () => def['initial'],
+                map : property ? properties => def['map'](properties[property]) : def['map'],
+                reduce : def['initial'] === undefined ? (a, b) => a === undefined ? b : def['reduce'](a, b) : def['reduce'],
+                finish : identity
+            });
+        }
+    }
+    return aggregators;
+}
+
+// FNV-1a hash of a string
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// scramble a hash, to combine hashes by xor besides sum
+function mixHash(h) {
+    h = imul(h ^ (h >>> 16), 0x45d9f3b);
+    h = imul(h ^ (h >>> 16), 0x45d9f3b);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// 32-bit multiplication as Math.imul, which is not supported by IE
+function imul(a, b) {
+    return ((a & 0xffff) * b + ((((a >>> 16) * b) & 0xffff) << 16)) | 0;
+}
+
+/**
+ * Whether a marker is a better representative of a cluster than the current one by representative option:
+ * a property name to pick the marker with the highest value, or a comparator function(a, b) of markers' properties,
+ * a is picked if it returns a negative number.
+ * @private
+ */
+function isBetterRepresentative(representative, properties, current) {
+    if (maptalks.Util.isFunction(representative)) {
+        return representative(properties, current) < 0;
+    }
+    const value = properties[representative];
+    if (!isNumber(value)) {
+        return false;
+    }
+    return !isNumber(current[representative]) || value > current[representative];
+}
+
+/**
+ * Get definitions of aggregates in the template of textFormat, e.g. { 'sum:revenue' : { type : 'sum', property : 'revenue' }} of {sum:revenue}
+ * @param  {String} template - template of textFormat
+ * @return {Object} definitions as clusterProperties
+ * @private
+ */
+function getTemplateAggregates(template) {
+    const defs = {};
+    template.replace(textTemplateRegex, (match, type, property) => {
+        if (property && aggregateReducers[type]) {
+            defs[type + ':' + property] = { 'type' : type, 'property' : property };
+        }
+        return match;
+    });
+    return defs;
+}
+
+/**
+ * Convex hull of points by monotone chain
+ * @param  {Number[][]} points - points, [[x0, y0], [x1, y1], ...]
+ * @return {Number[][]} vertices of the hull in counterclockwise order
+ * @private
+ */
+function convexHull(points) {
+    const sorted = points.slice(0).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) {
+        return sorted;
+    }
+    const lower = [], upper = [];
+    for (let i = 0; i < sorted.length; i++) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
+            lower.pop();
+        }
+        lower.push(sorted[i]);
+    }
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) {
+            upper.pop();
+        }
+        upper.push(sorted[i]);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Concave hull of points, by digging edges of the convex hull longer than maxEdge into the nearest inner points,
+ * as long as the new edges don't intersect the hull.
+ * @param  {Number[][]} points - points, [[x0, y0], [x1, y1], ...]
+ * @param  {Number} maxEdge    - max length of edges not to dig
+ * @return {Number[][]} vertices of the hull
+ * @private
+ */
+function concaveHull(points, maxEdge) {
+    const hull = convexHull(points);
+    if (hull.length < 3) {
+        return hull;
+    }
+    let inner = points.filter(p => hull.indexOf(p) < 0);
+    const max = maxEdge * maxEdge;
+    let i = 0;
+    while (i < hull.length && inner.length) {
+        const a = hull[i], b = hull[(i + 1) % hull.length];
+        const len = sqDist(a[0], a[1], b[0], b[1]);
+        if (len <= max) {
+            i++;
+            continue;
+        }
+        const prev = hull[(i + hull.length - 1) % hull.length], next = hull[(i + 2) % hull.length];
+        // the nearest inner point to the edge, skipping points as close to the adjacent edges
+        let nearest = -1, min = Infinity;
+        for (let ii = 0; ii < inner.length; ii++) {
+            const p = inner[ii];
+            const d = sqSegDist(p, a, b);
+            if (d < min && sqSegDist(p, prev, a) > d && sqSegDist(p, b, next) > d) {
+                min = d;
+                nearest = ii;
+            }
+        }
+        const p = nearest >= 0 ? inner[nearest] : null;
+        // not to dig too deep: the point should be nearer to the edge's ends than their distance
+        if (!p || Math.min(sqDist(p[0], p[1], a[0], a[1]), sqDist(p[0], p[1], b[0], b[1])) > len ||
+            intersectsHull(hull, a, p) || intersectsHull(hull, p, b)) {
+            i++;
+            continue;
+        }
+        hull.splice(i + 1, 0, p);
+        inner.splice(nearest, 1);
+        if (min > 0) {
+            // points out of the dug hull are dropped
+            inner = inner.filter(q => !inTriangle(q, a, p, b));
+        }
+    }
+    return hull;
+}
+
+function cross(o, a, b) {
+    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function sqSegDist(p, a, b) {
+    const dx = b[0] - a[0], dy = b[1] - a[1];
+    let t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy);
+    t = Math.max(0, Math.min(1, t));
+    return sqDist(p[0], p[1], a[0] + t * dx, a[1] + t * dy);
+}
+
+// whether segment pq intersects edges of the hull not sharing a vertex with it
+function intersectsHull(hull, p, q) {
+    for (let i = 0; i < hull.length; i++) {
+        const a = hull[i], b = hull[(i + 1) % hull.length];
+        if (a === p || a === q || b === p || b === q) {
+            continue;
+        }
+        if (cross(p, q, a) * cross(p, q, b) < 0 && cross(a, b, p) * cross(a, b, q) < 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function inTriangle(p, a, b, c) {
+    const d1 = cross(a, b, p), d2 = cross(b, c, p), d3 = cross(c, a, p);
+    return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+function isNumber(n) {
+    return typeof n === 'number' && !isNaN(n);
+}
+
+function identity(v) {
+    return v;
+}
+
+/**
+ * Build clusters of all the zoom levels at once, from maxZoom down to minZoom.
+ * Nodes of a zoom level are clustered from the nodes of the level above it: each node not merged yet, in the order of points,
+ * absorbs unmerged nodes within the zoom's radius around its first point, found by a kd-tree.
+ * A node not merging any others is passed to the lower level as it is, and nodes of different groups are never merged.
+ * @param  {Float64Array} coords - projected coordinates of points, [x0, y0, x1, y1, ...]
+ * @param  {Object} radius       - cluster radius in projected units of every zoom level
+ * @param  {Number} minZoom      - min zoom level
+ * @param  {Number} maxZoom      - max zoom level
+ * @param  {Int32Array} [groups=null] - group of points
+ * @param  {Float64Array} [weights=null] - weight of points to compute weighted centers, 1 by default
+ * @return {Object} cluster tree: { levels : { zoom : nodes }, minZoom, maxZoom }
+ * @private
+ */
+function buildClusterTree(coords, radius, minZoom, maxZoom, groups, weights) {
+    const count = coords.length / 2;
+    const tree = createClusterTree(radius, minZoom, maxZoom, count);
+    const leaves = [];
+    for (let i = 0; i < count; i++) {
+        leaves.push(createLeafNode(i, coords[i * 2], coords[i * 2 + 1], maxZoom + 1, groups ? groups[i] : 0, weights ? weights[i] : 1));
+    }
+    tree.leaves = leaves.slice(0);
+    let nodes = tree.levels[maxZoom + 1] = leaves;
+    for (let z = maxZoom; z >= minZoom; z--) {
+        nodes = tree.levels[z] = clusterNodes(tree, nodes, radius[z], z);
+    }
+    return tree;
+}
+
+function createClusterTree(radius, minZoom, maxZoom, count) {
+    return {
+        levels : {},
+        // leaf nodes by index of points
+        leaves : null,
+        radius : radius,
+        minZoom : minZoom,
+        maxZoom : maxZoom,
+        nextId : count,
+        nextOrder : count,
+        version : 0,
+        // kd-trees to find clusters for incremental updates, created on demand
+        indexes : {},
+        // levels with removed nodes
+        dirtyLevels : {}
+    };
+}
+
+function clusterNodes(tree, nodes, r, zoom) {
+    const len = nodes.length;
+    const ids = new Uint32Array(len),
+        coords = new Float64Array(len * 2);
+    for (let i = 0; i < len; i++) {
+        ids[i] = i;
+        coords[i * 2] = nodes[i].x;
+        coords[i * 2 + 1] = nodes[i].y;
+    }
+    const index = createKDTree(ids, coords, 64);
+    const merged = new Uint8Array(len);
+    const clusters = [];
+    for (let i = 0; i < len; i++) {
+        if (merged[i]) {
+            continue;
+        }
+        merged[i] = 1;
+        const node = nodes[i];
+        const neighbors = withinKDTree(index, node.x, node.y, r);
+        let cluster = null;
+        neighbors.sort(ascending);
+        for (let ii = 0; ii < neighbors.length; ii++) {
+            const n = neighbors[ii];
+            if (merged[n] || nodes[n].group !== node.group) {
+                continue;
+            }
+            merged[n] = 1;
+            if (!cluster) {
+                cluster = createClusterNode(tree, node, zoom);
+            }
+            const child = nodes[n];
+            cluster.sumX += child.sumX;
+            cluster.sumY += child.sumY;
+            cluster.count += child.count;
+            cluster.weight += child.weight;
+            cluster.weightX += child.weightX;
+            cluster.weightY += child.weightY;
+            cluster.children.push(child);
+            child.parent = cluster;
+        }
+        clusters.push(cluster || node);
+    }
+    return clusters;
+}
+
+function createLeafNode(index, x, y, zoom, group, weight) {
+    weight = weight === undefined ? 1 : weight;
+    return {
+        id : index,
+        x : x,
+        y : y,
+        group : group || 0,
+        sumX : x,
+        sumY : y,
+        count : 1,
+        weight : weight,
+        weightX : x * weight,
+        weightY : y * weight,
+        zoom : zoom,
+        // nodes of a level are sorted by order, which is the order of point it grows from
+        order : index,
+        version : 0,
+        index : index,
+        parent : null,
+        children : null
+    };
+}
+
+function createClusterNode(tree, seed, zoom) {
+    const cluster = {
+        id : tree.nextId++,
+        x : seed.x,
+        y : seed.y,
+        group : seed.group,
+        sumX : seed.sumX,
+        sumY : seed.sumY,
+        count : seed.count,
+        weight : seed.weight,
+        weightX : seed.weightX,
+        weightY : seed.weightY,
+        zoom : zoom,
+        order : seed.order,
+        version : tree.version,
+        index : -1,
+        parent : null,
+        children : [seed]
+    };
+    seed.parent = cluster;
+    return cluster;
+}
+
+/**
+ * Build clusters of hexagonal bins of every zoom level, in the same structure of buildClusterTree.
+ * Points are binned into pointy-top hexagons with the radius as size (center to vertex) at every zoom level independently, and bins keep their points as members.
+ * As hexagons of different sizes don't nest, the parent of a bin is approximate: it's the bin containing its first point in the lower zoom level,
+ * and children of a bin are the bins (or points at maxZoom) of the upper level whose parent it is.
+ * @param  {Float64Array} coords - projected coordinates of points, [x0, y0, x1, y1, ...]
+ * @param  {Object} radius       - hexagon size in projected units of every zoom level
+ * @param  {Number} minZoom      - min zoom level
+ * @param  {Number} maxZoom      - max zoom level
+ * @param  {Int32Array} [groups=null] - group of points, points of different groups are binned separately
+ * @param  {Float64Array} [weights=null] - weight of points
+ * @return {Object} cluster tree
+ * @private
+ */
+function buildHexbinTree(coords, radius, minZoom, maxZoom, groups, weights) {
+    const count = coords.length / 2;
+    const tree = createClusterTree(radius, minZoom, maxZoom, count);
+    tree.hexbin = true;
+    const leaves = [];
+    for (let i = 0; i < count; i++) {
+        leaves.push(createLeafNode(i, coords[i * 2], coords[i * 2 + 1], maxZoom + 1, groups ? groups[i] : 0, weights ? weights[i] : 1));
+    }
+    tree.leaves = tree.levels[maxZoom + 1] = leaves;
+    let upper = leaves;
+    for (let z = maxZoom; z >= minZoom; z--) {
+        const size = radius[z],
+            bins = {},
+            nodes = [],
+            binOfPoints = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const leaf = leaves[i];
+            const hex = getHexagon(leaf.x, leaf.y, size);
+            const key = z + ':' + hex[0] + ':' + hex[1] + ':' + leaf.group;
+            let bin = bins[key];
+            if (!bin) {
+                bin = bins[key] = {
+                    id : key,
+                    x : leaf.x,
+                    y : leaf.y,
+                    group : leaf.group,
+                    sumX : 0,
+                    sumY : 0,
+                    count : 0,
+                    weight : 0,
+                    weightX : 0,
+                    weightY : 0,
+                    // center of the hexagon
+                    hexX : hex[2],
+                    hexY : hex[3],
+                    zoom : z,
+                    order : leaf.order,
+                    version : 0,
+                    index : -1,
+                    parent : null,
+                    children : [],
+                    // indexes of points in the bin
+                    members : []
+                };
+                nodes.push(bin);
+            }
+            bin.members.push(i);
+            bin.sumX += leaf.sumX;
+            bin.sumY += leaf.sumY;
+            bin.count += leaf.count;
+            bin.weight += leaf.weight;
+            bin.weightX += leaf.weightX;
+            bin.weightY += leaf.weightY;
+            binOfPoints[i] = bin;
+        }
+        for (let i = 0; i < upper.length; i++) {
+            const node = upper[i],
+                bin = binOfPoints[node.members ? node.members[0] : node.index];
+            node.parent = bin;
+            bin.children.push(node);
+        }
+        tree.levels[z] = nodes;
+        upper = nodes;
+    }
+    return tree;
+}
 
-        // merge adjacent clusters
-        const merging = {};
+/**
+ * Build clusters of every zoom level by DBSCAN, in the same structure of buildClusterTree.
+ * DBSCAN runs on the points from maxZoom down to minZoom: a point with at least minPoints points within eps around it is a core,
+ * clusters grow from cores to points within eps, and noise points not reached by any core are passed to the lower level as they are.
+ * As eps grows when zooming out, cores stay cores and clusters of the upper level are merged as a whole.
+ * @param  {Float64Array} coords - projected coordinates of points, [x0, y0, x1, y1, ...]
+ * @param  {Object} eps          - eps in projected units of every zoom level
+ * @param  {Number} minPoints    - min count of points within eps of a core
+ * @param  {Number} minZoom      - min zoom level
+ * @param  {Number} maxZoom      - max zoom level
+ * @param  {Int32Array} [groups=null] - group of points, points of different groups are never clustered together
+ * @param  {Float64Array} [weights=null] - weight of points
+ * @return {Object} cluster tree
+ * @private
+ */
+function buildDbscanTree(coords, eps, minPoints, minZoom, maxZoom, groups, weights) {
+    const count = coords.length / 2;
+    const tree = createClusterTree(eps, minZoom, maxZoom, count);
+    const leaves = [];
+    for (let i = 0; i < count; i++) {
+        leaves.push(createLeafNode(i, coords[i * 2], coords[i * 2 + 1], maxZoom + 1, groups ? groups[i] : 0, weights ? weights[i] : 1));
+    }
+    tree.leaves = leaves.slice(0);
+    const ids = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        ids[i] = i;
+    }
+    const index = createKDTree(ids, new Float64Array(coords), 64);
+    // 1 for points which are cores
+    const cores = new Uint8Array(count);
+    let nodes = tree.levels[maxZoom + 1] = leaves;
+    for (let z = maxZoom; z >= minZoom; z--) {
+        nodes = tree.levels[z] = dbscanNodes(tree, nodes, index, cores, eps[z], minPoints, z);
+    }
+    return tree;
+}
 
-        const visited = {};
-        // find clusters need to merge
-        let c1, c2;
-        for (const p in grids) {
-            c1 = grids[p];
-            if (visited[c1.key]) {
+function dbscanNodes(tree, nodes, index, cores, eps, minPoints, zoom) {
+    const leaves = tree.leaves,
+        r2 = eps * eps;
+    // points of the same group within eps of the points which are not cores
+    const neighbors = new Array(leaves.length);
+    for (let i = 0; i < leaves.length; i++) {
+        if (cores[i]) {
+            continue;
+        }
+        const leaf = leaves[i];
+        const within = withinKDTree(index, leaf.x, leaf.y, eps).filter(n => leaves[n].group === leaf.group);
+        if (within.length >= minPoints) {
+            cores[i] = 1;
+        } else {
+            neighbors[i] = within;
+        }
+    }
+    // cores are binned into cells of eps / √2 by group, cores in a cell are within eps of each other
+    const size = eps / Math.SQRT2,
+        grid = {},
+        cells = [],
+        cellOfCores = new Array(leaves.length);
+    // columns and rows of cells start from the min of cores, to be indexes of the grid
+    let minX = Infinity, minY = Infinity;
+    for (let i = 0; i < leaves.length; i++) {
+        if (cores[i]) {
+            minX = Math.min(minX, leaves[i].x);
+            minY = Math.min(minY, leaves[i].y);
+        }
+    }
+    for (let i = 0; i < leaves.length; i++) {
+        if (!cores[i]) {
+            continue;
+        }
+        const leaf = leaves[i];
+        const x = Math.floor((leaf.x - minX) / size),
+            y = Math.floor((leaf.y - minY) / size);
+        if (!grid[leaf.group]) {
+            grid[leaf.group] = {};
+        }
+        const rows = grid[leaf.group];
+        if (!rows[y]) {
+            rows[y] = {};
+        }
+        let cell = rows[y][x];
+        if (!cell) {
+            cell = rows[y][x] = {
+                id : cells.length,
+                x : x,
+                y : y,
+                group : leaf.group,
+                cores : [],
+                // union of cells connected by cores
+                link : null
+            };
+            cells.push(cell);
+        }
+        cell.cores.push(i);
+        cellOfCores[i] = cell;
+    }
+    const isConnected = (a, b) => {
+        for (let i = 0; i < a.cores.length; i++) {
+            const p = leaves[a.cores[i]];
+            for (let ii = 0; ii < b.cores.length; ii++) {
+                const q = leaves[b.cores[ii]];
+                if (sqDist(p.x, p.y, q.x, q.y) <= r2) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+    // cells are connected if any of their cores are within eps, each pair of cells is checked once,
+    // and cells 2 cells away on both axes are always farther than eps
+    const offsets = [[1, 0], [2, 0], [-2, 1], [-1, 1], [0, 1], [1, 1], [2, 1], [-1, 2], [0, 2], [1, 2]];
+    for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i],
+            rows = grid[cell.group];
+        for (let ii = 0; ii < offsets.length; ii++) {
+            const row = rows[cell.y + offsets[ii][1]],
+                neighbor = row ? row[cell.x + offsets[ii][0]] : null;
+            if (!neighbor) {
                 continue;
             }
-            const gxgy = c1.key.split('_');
-            const gx = +(gxgy[0]),
-                gy = +(gxgy[1]);
-            //traverse adjacent grids
-            for (let ii = -1; ii <= 1; ii++) {
-                for (let iii = -1; iii <= 1; iii++) {
-                    if (ii === 0 && iii === 0) {
-                        continue;
-                    }
-                    const key2 = (gx + ii) + '_' + (gy + iii);
-                    c2 = grids[key2];
-                    if (c2 && this._distanceTo(c1['center'], c2['center']) <= r) {
-                        if (!merging[c1.key]) {
-                            merging[c1.key] = [];
-                        }
-                        merging[c1.key].push(c2);
-                        visited[c2.key] = 1;
-                    }
+            const root = findCellRoot(cell), other = findCellRoot(neighbor);
+            if (root !== other && isConnected(cell, neighbor)) {
+                other.link = root;
+            }
+        }
+    }
+    // nodes of the upper level are merged by cells of their cores,
+    // clusters of the upper level always have cores, and noise points become borders of the first core within eps
+    const members = {},
+        roots = [],
+        result = [];
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        let core = -1;
+        if (node.children) {
+            const points = getNodeLeaves(node);
+            for (let ii = 0; ii < points.length && core < 0; ii++) {
+                if (cores[points[ii]]) {
+                    core = points[ii];
+                }
+            }
+        } else if (cores[node.index]) {
+            core = node.index;
+        } else {
+            const within = neighbors[node.index];
+            for (let ii = 0; ii < within.length && core < 0; ii++) {
+                if (cores[within[ii]]) {
+                    core = within[ii];
                 }
             }
         }
+        if (core < 0) {
+            result.push(node);
+            continue;
+        }
+        const root = findCellRoot(cellOfCores[core]);
+        if (!members[root.id]) {
+            members[root.id] = [];
+            roots.push(root.id);
+        }
+        members[root.id].push(node);
+    }
+    for (let i = 0; i < roots.length; i++) {
+        const children = members[roots[i]];
+        result.push(children.length === 1 ? children[0] : createDbscanNode(tree, children, zoom));
+    }
+    return result.sort((a, b) => a.order - b.order);
+}
 
-        //merge clusters
-        for (const m in merging) {
-            const grid = grids[m];
-            if (!grid) {
-                continue;
+function findCellRoot(cell) {
+    let root = cell;
+    while (root.link) {
+        root = root.link;
+    }
+    // compress the path
+    while (cell !== root) {
+        const next = cell.link;
+        cell.link = root;
+        cell = next;
+    }
+    return root;
+}
+
+// a cluster of the children, at their center
+function createDbscanNode(tree, children, zoom) {
+    const node = {
+        id : tree.nextId++,
+        x : 0,
+        y : 0,
+        group : children[0].group,
+        sumX : 0,
+        sumY : 0,
+        count : 0,
+        weight : 0,
+        weightX : 0,
+        weightY : 0,
+        zoom : zoom,
+        order : children[0].order,
+        version : tree.version,
+        index : -1,
+        parent : null,
+        children : children
+    };
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        node.sumX += child.sumX;
+        node.sumY += child.sumY;
+        node.count += child.count;
+        node.weight += child.weight;
+        node.weightX += child.weightX;
+        node.weightY += child.weightY;
+        child.parent = node;
+    }
+    node.x = node.sumX / node.count;
+    node.y = node.sumY / node.count;
+    return node;
+}
+
+// axial coordinates of the pointy-top hexagon containing x, y and its center: [q, r, cx, cy]
+function getHexagon(x, y, size) {
+    const fq = (Math.sqrt(3) / 3 * x - y / 3) / size,
+        fr = 2 / 3 * y / size,
+        fs = -fq - fr;
+    // round to the nearest hexagon in cube coordinates
+    let q = Math.round(fq), r = Math.round(fr);
+    const s = Math.round(fs);
+    const dq = Math.abs(q - fq), dr = Math.abs(r - fr), ds = Math.abs(s - fs);
+    if (dq > dr && dq > ds) {
+        q = -r - s;
+    } else if (dr > ds) {
+        r = -q - s;
+    }
+    return [q, r, size * (Math.sqrt(3) * q + Math.sqrt(3) / 2 * r), size * 1.5 * r];
+}
+
+function getHexagonVertices(cx, cy, size) {
+    const vertices = [];
+    for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 180 * (60 * i - 30);
+        vertices.push([cx + size * Math.cos(angle), cy + size * Math.sin(angle)]);
+    }
+    return vertices;
+}
+
+/**
+ * Whether a geometry or GeoJSON can be added into a ClusterLayer: Marker, LineString, Polygon or MultiPoint.
+ * Arguments other than geometries, e.g. fitView of addGeometry, are ignored.
+ * @private
+ */
+function isSupportedGeometry(geo) {
+    if (geo instanceof maptalks.Geometry) {
+        return geo instanceof maptalks.Marker || geo instanceof maptalks.LineString || geo instanceof maptalks.Polygon || geo instanceof maptalks.MultiPoint;
+    }
+    if (!geo || !geo['type']) {
+        return true;
+    }
+    if (geo['type'] === 'FeatureCollection') {
+        return (geo['features'] || []).every(isSupportedGeometry);
+    }
+    const geometry = geo['type'] === 'Feature' ? geo['geometry'] : geo;
+    return !!geometry && clusterableTypes.indexOf(geometry['type']) >= 0;
+}
+
+/**
+ * Get the representative coordinate of a GeoJSON geometry to cluster it by
+ * @param  {Object} geometry - GeoJSON geometry of Point, LineString, Polygon or MultiPoint
+ * @param  {String} mode     - centroid, labelPoint (a point on the geometry) or firstVertex
+ * @return {Number[]} coordinate
+ * @private
+ */
+function getRepresentativeCoordinate(geometry, mode) {
+    const type = geometry['type'],
+        coordinates = geometry['coordinates'];
+    if (type === 'Point') {
+        return coordinates;
+    }
+    if (mode === 'firstVertex') {
+        return type === 'Polygon' ? coordinates[0][0] : coordinates[0];
+    }
+    if (type === 'MultiPoint') {
+        const centroid = getMeanCoordinate(coordinates);
+        if (mode !== 'labelPoint') {
+            return centroid;
+        }
+        // the point nearest to the centroid
+        let nearest = coordinates[0], min = Infinity;
+        for (let i = 0; i < coordinates.length; i++) {
+            const dx = coordinates[i][0] - centroid[0], dy = coordinates[i][1] - centroid[1];
+            if (dx * dx + dy * dy < min) {
+                min = dx * dx + dy * dy;
+                nearest = coordinates[i];
+            }
+        }
+        return nearest;
+    }
+    if (type === 'LineString') {
+        return getLinePoint(coordinates, mode === 'labelPoint');
+    }
+    const centroid = getRingCentroid(coordinates[0]);
+    return mode === 'labelPoint' ? getPolygonLabelPoint(coordinates, centroid) : centroid;
+}
+
+// [xmin, ymin, xmax, ymax] of nested GeoJSON coordinates
+function getCoordinatesBBox(coordinates, bbox) {
+    if (!Array.isArray(coordinates[0])) {
+        bbox[0] = Math.min(bbox[0], coordinates[0]);
+        bbox[1] = Math.min(bbox[1], coordinates[1]);
+        bbox[2] = Math.max(bbox[2], coordinates[0]);
+        bbox[3] = Math.max(bbox[3], coordinates[1]);
+        return bbox;
+    }
+    for (let i = 0; i < coordinates.length; i++) {
+        getCoordinatesBBox(coordinates[i], bbox);
+    }
+    return bbox;
+}
+
+function getMeanCoordinate(coordinates) {
+    let x = 0, y = 0;
+    for (let i = 0; i < coordinates.length; i++) {
+        x += coordinates[i][0];
+        y += coordinates[i][1];
+    }
+    return [x / coordinates.length, y / coordinates.length];
+}
+
+// centroid of a line weighted by length of segments, or the point at half of its length if along is true
+function getLinePoint(coordinates, along) {
+    let length = 0, x = 0, y = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        const a = coordinates[i - 1], b = coordinates[i];
+        const l = Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+        length += l;
+        x += (a[0] + b[0]) / 2 * l;
+        y += (a[1] + b[1]) / 2 * l;
+    }
+    if (length === 0) {
+        return coordinates[0];
+    }
+    if (!along) {
+        return [x / length, y / length];
+    }
+    let rest = length / 2;
+    for (let i = 1; i < coordinates.length; i++) {
+        const a = coordinates[i - 1], b = coordinates[i];
+        const l = Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+        if (l >= rest && l > 0) {
+            return [a[0] + (b[0] - a[0]) * rest / l, a[1] + (b[1] - a[1]) * rest / l];
+        }
+        rest -= l;
+    }
+    return coordinates[coordinates.length - 1];
+}
+
+// centroid of a ring's area, or mean of its vertices if the area is 0
+function getRingCentroid(ring) {
+    let area = 0, x = 0, y = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[j], b = ring[i];
+        const f = a[0] * b[1] - b[0] * a[1];
+        area += f;
+        x += (a[0] + b[0]) * f;
+        y += (a[1] + b[1]) * f;
+    }
+    if (area === 0) {
+        return getMeanCoordinate(ring);
+    }
+    return [x / (3 * area), y / (3 * area)];
+}
+
+/**
+ * A point inside the polygon: the centroid if it's inside,
+ * or the middle of the widest section of the polygon on the horizontal line through the centroid.
+ * @private
+ */
+function getPolygonLabelPoint(rings, centroid) {
+    const y = centroid[1],
+        xs = [];
+    for (let r = 0; r < rings.length; r++) {
+        const ring = rings[r];
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i], b = ring[j];
+            if ((a[1] > y) !== (b[1] > y)) {
+                xs.push(a[0] + (y - a[1]) * (b[0] - a[0]) / (b[1] - a[1]));
+            }
+        }
+    }
+    xs.sort((a, b) => a - b);
+    let best = null, width = -1;
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+        if (centroid[0] >= xs[i] && centroid[0] <= xs[i + 1]) {
+            return centroid;
+        }
+        if (xs[i + 1] - xs[i] > width) {
+            width = xs[i + 1] - xs[i];
+            best = [(xs[i] + xs[i + 1]) / 2, y];
+        }
+    }
+    return best || rings[0][0];
+}
+
+function isPointInPolygon(p, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i], b = ring[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Update the cluster tree with removed, added and moved points,
+ * result is the same as rebuilding the tree with the points in their order and added points appended.
+ *
+ * A node of the upper level is where a cluster grows from (a seed) if no seed before it is within the radius,
+ * otherwise it joins the first seed within the radius.
+ * So changes of a level only spread to nodes around the changed ones, and are updated level by level.
+ * @param  {Object} tree      - cluster tree
+ * @param  {Number[]} removed - indexes of removed points
+ * @param  {Object[]} added   - added points: { x, y, index, group, weight }
+ * @param  {Object[]} moved   - moved points: { x, y, index }
+ * @private
+ */
+function updateClusterTree(tree, removed, added, moved) {
+    tree.version++;
+    const leafZoom = tree.maxZoom + 1;
+    let touched = [];
+    for (let i = 0; i < removed.length; i++) {
+        const leaf = tree.leaves[removed[i]];
+        if (!leaf) {
+            continue;
+        }
+        tree.leaves[removed[i]] = null;
+        setTreeNode(tree, leafZoom, leaf.order, null);
+        touched.push(createTreeChange(leaf.order, null, leaf, leaf.parent));
+    }
+    for (let i = 0; i < added.length; i++) {
+        const leaf = createLeafNode(added[i].index, added[i].x, added[i].y, leafZoom, added[i].group, added[i].weight);
+        leaf.id = tree.nextId++;
+        leaf.order = tree.nextOrder++;
+        leaf.version = tree.version;
+        tree.leaves[leaf.index] = leaf;
+        setTreeNode(tree, leafZoom, leaf.order, leaf);
+        touched.push(createTreeChange(leaf.order, leaf, null, null));
+    }
+    for (let i = 0; i < (moved ? moved.length : 0); i++) {
+        const old = tree.leaves[moved[i].index];
+        if (!old) {
+            continue;
+        }
+        // a moved point keeps its order
+        const leaf = createLeafNode(old.index, moved[i].x, moved[i].y, leafZoom, old.group, old.weight);
+        leaf.id = old.id;
+        leaf.order = old.order;
+        leaf.version = tree.version;
+        tree.leaves[leaf.index] = leaf;
+        setTreeNode(tree, leafZoom, leaf.order, leaf, old);
+        touched.push(createTreeChange(leaf.order, leaf, old, old.parent));
+    }
+    for (let z = tree.maxZoom; z >= tree.minZoom && touched.length; z--) {
+        touched = updateTreeLevel(tree, z, touched);
+    }
+}
+
+/**
+ * A changed node of a level
+ * @param  {Number} order     - order of the node
+ * @param  {Object} node      - node after the update, null if removed
+ * @param  {Object} old       - node before the update, null if added
+ * @param  {Object} oldParent - parent of the old node before the update
+ * @param  {Number} [oldX]    - x of the old node before the update
+ * @param  {Number} [oldY]    - y of the old node before the update
+ * @private
+ */
+function createTreeChange(order, node, old, oldParent, oldX, oldY) {
+    return {
+        order : order,
+        node : node,
+        old : old,
+        oldParent : oldParent,
+        oldX : old && oldX === undefined ? old.x : oldX,
+        oldY : old && oldY === undefined ? old.y : oldY
+    };
+}
+
+function isTreeNodeMoved(change) {
+    return change.node && change.old && (change.node.x !== change.oldX || change.node.y !== change.oldY);
+}
+
+/**
+ * Update nodes of a zoom level with the changed nodes of the upper level.
+ * @param  {Object} tree      - cluster tree
+ * @param  {Number} zoom      - zoom level
+ * @param  {Object[]} touched - changed nodes of the upper level
+ * @return {Object[]} changed nodes of the zoom level
+ * @private
+ */
+function updateTreeLevel(tree, zoom, touched) {
+    const r = tree.radius[zoom];
+    // create the index before reading the nodes, as it removes removed nodes from the level
+    getTreeIndex(tree, zoom);
+    const items = tree.levels[zoom + 1],
+        level = tree.levels[zoom];
+    const changes = {};
+    for (let i = 0; i < touched.length; i++) {
+        changes[touched[i].order] = touched[i];
+    }
+    // order of the seed a node joined before the update, -1 if the node is added
+    const getOldSeed = node => {
+        const change = changes[node.order];
+        if (!change) {
+            return getAncestorNode(node, zoom).order;
+        }
+        if (!change.old) {
+            return -1;
+        }
+        const parent = change.oldParent;
+        return parent && parent.zoom >= zoom ? getAncestorNode(parent, zoom).order : change.old.order;
+    };
+    const seeds = {};
+    const getSeed = node => seeds[node.order] !== undefined ? seeds[node.order] : getOldSeed(node);
+    const queue = [];
+    const enqueueNeighbors = (x, y, order, group) => {
+        const neighbors = withinTreeLevel(tree, zoom, x, y, r, group);
+        for (let i = 0; i < neighbors.length; i++) {
+            if (neighbors[i].order > order) {
+                insertOrder(queue, neighbors[i].order);
+            }
+        }
+    };
+    for (let i = 0; i < touched.length; i++) {
+        const change = touched[i];
+        if (change.node) {
+            insertOrder(queue, change.order);
+        }
+        if ((!change.node || isTreeNodeMoved(change)) && getOldSeed(change.old) === change.order) {
+            // nodes around a removed or moved seed may become seeds or join other seeds
+            enqueueNeighbors(change.oldX, change.oldY, change.order, change.old.group);
+        }
+    }
+    // 1. find seeds of nodes in order, if a node becomes or stops being a seed, nodes after it around are checked
+    while (queue.length) {
+        const order = queue.shift();
+        const node = items[searchTreeNode(items, order)];
+        const neighbors = withinTreeLevel(tree, zoom, node.x, node.y, r, node.group);
+        let seed = order;
+        for (let i = 0; i < neighbors.length; i++) {
+            const n = neighbors[i];
+            if (n.order < seed && getSeed(n) === n.order) {
+                seed = n.order;
+            }
+        }
+        const wasSeed = getSeed(node) === order;
+        seeds[order] = seed;
+        const moved = changes[order] && isTreeNodeMoved(changes[order]);
+        if (wasSeed !== (seed === order) || moved && seed === order) {
+            enqueueNeighbors(node.x, node.y, order, node.group);
+        }
+    }
+    // 2. seeds whose clusters may be changed, both old and new ones
+    const affected = [],
+        found = {};
+    const addAffected = order => {
+        if (order >= 0 && !found[order]) {
+            found[order] = 1;
+            affected.push(order);
+        }
+    };
+    for (let i = 0; i < touched.length; i++) {
+        if (touched[i].old) {
+            addAffected(getOldSeed(touched[i].old));
+        }
+    }
+    for (const order in seeds) {
+        addAffected(getOldSeed(items[searchTreeNode(items, +order)]));
+        addAffected(seeds[order]);
+    }
+    affected.sort(ascending);
+    // 3. find children of the seeds before updating any node
+    const results = [];
+    for (let i = 0; i < affected.length; i++) {
+        const order = affected[i];
+        const seed = items[searchTreeNode(items, order)];
+        const old = level[searchTreeNode(level, order)];
+        const result = {
+            order : order,
+            seed : null,
+            children : null,
+            old : null,
+            oldParent : null
+        };
+        if (old && !old.removed) {
+            const change = changes[order];
+            result.old = old;
+            // a node passing through the upper level may have been updated there
+            if (change && change.old === old) {
+                result.oldParent = change.oldParent;
+                result.oldX = change.oldX;
+                result.oldY = change.oldY;
+            } else {
+                result.oldParent = old.parent;
+                result.oldX = old.x;
+                result.oldY = old.y;
             }
-            const toMerge = merging[m];
-            for (let i = 0; i < toMerge.length; i++) {
-                if (grids[toMerge[i].key]) {
-                    grid['sum']._add(toMerge[i].sum);
-                    grid['count'] += toMerge[i].count;
-                    grid['textSumProperty'] += toMerge[i].textSumProperty;
-                    grid['children'] = grid['children'].concat(toMerge[i].children);
-                    clusterMap[toMerge[i].key] = grid;
-                    delete grids[toMerge[i].key];
+        }
+        if (seed && !seed.removed && getSeed(seed) === order) {
+            const neighbors = withinTreeLevel(tree, zoom, seed.x, seed.y, r, seed.group);
+            const children = [seed];
+            for (let ii = 0; ii < neighbors.length; ii++) {
+                if (neighbors[ii].order > order && getSeed(neighbors[ii]) === order) {
+                    children.push(neighbors[ii]);
                 }
             }
-            grid['center'] = grid['sum'].multi(1 / grid['count']);
+            children.sort((a, b) => a.order - b.order);
+            result.seed = seed;
+            result.children = children;
+        }
+        results.push(result);
+    }
+    // 4. update nodes of the level
+    const next = [];
+    for (let i = 0; i < results.length; i++) {
+        const result = results[i],
+            old = result.old;
+        let node = null;
+        if (result.seed) {
+            node = result.children.length === 1 ? result.seed : updateClusterNode(tree, result, zoom);
+            if (node !== old) {
+                // parent of a new node is set by the lower level
+                node.parent = null;
+            }
+        }
+        const change = createTreeChange(result.order, node, old, result.oldParent, result.oldX, result.oldY);
+        if (node !== old || isTreeNodeMoved(change)) {
+            setTreeNode(tree, zoom, result.order, node, change);
+        } else if (!node || node.version !== tree.version) {
+            // node is not changed
+            continue;
+        }
+        next.push(change);
+    }
+    return next;
+}
+
+/**
+ * Create or update the cluster growing from the seed, old cluster of the seed is reused if possible.
+ * @private
+ */
+function updateClusterNode(tree, result, zoom) {
+    const old = result.old,
+        seed = result.seed,
+        children = result.children;
+    const reusable = old && old.zoom === zoom && old.children;
+    if (reusable && old.children.length === children.length) {
+        let changed = false;
+        for (let i = 0; i < children.length && !changed; i++) {
+            changed = old.children[i] !== children[i] || children[i].version === tree.version;
         }
+        if (!changed) {
+            return old;
+        }
+    }
+    const node = reusable ? old : createClusterNode(tree, seed, zoom);
+    node.x = seed.x;
+    node.y = seed.y;
+    node.children = children;
+    node.sumX = node.sumY = node.count = 0;
+    node.weight = node.weightX = node.weightY = 0;
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        node.sumX += child.sumX;
+        node.sumY += child.sumY;
+        node.count += child.count;
+        node.weight += child.weight;
+        node.weightX += child.weightX;
+        node.weightY += child.weightY;
+        child.parent = node;
+    }
+    node.version = tree.version;
+    return node;
+}
 
-        return {
-            'clusters' : grids,
-            'clusterMap' : clusterMap
+/**
+ * Set the node of the given order in a level, or remove it if node is null.
+ * @param  {Object} tree   - cluster tree
+ * @param  {Number} zoom   - zoom of the level
+ * @param  {Number} order  - order of the node
+ * @param  {Object} node   - the node
+ * @param  {Object} [prev] - previous position of the node: { x, y } or { oldX, oldY }
+ * @private
+ */
+function setTreeNode(tree, zoom, order, node, prev) {
+    const nodes = tree.levels[zoom];
+    const i = searchTreeNode(nodes, order);
+    let indexed = false;
+    if (i >= 0) {
+        const old = nodes[i];
+        if (!old.removed && prev) {
+            const x = prev.oldX !== undefined ? prev.oldX : prev.x,
+                y = prev.oldY !== undefined ? prev.oldY : prev.y;
+            indexed = node && node.x === x && node.y === y;
+        } else {
+            indexed = !old.removed;
+        }
+        if (node) {
+            nodes[i] = node;
+        } else {
+            // keep a placeholder to keep the positions, removed by getTreeLevel
+            nodes[i] = { order : order, removed : true };
+            tree.dirtyLevels[zoom] = 1;
+        }
+    } else if (node) {
+        nodes.splice(searchInsertPosition(nodes, order), 0, node);
+    }
+    const index = tree.indexes[zoom - 1];
+    if (node && !indexed && index) {
+        // to be found at the new position
+        index.extras.push(node);
+    }
+}
+
+/**
+ * Get nodes of the group in the upper level of the zoom within the radius around x, y.
+ * @private
+ */
+function withinTreeLevel(tree, zoom, x, y, r, group) {
+    const index = getTreeIndex(tree, zoom);
+    const orders = withinKDTree(index.kd, x, y, r);
+    const extras = index.extras;
+    for (let i = 0; i < extras.length; i++) {
+        if (sqDist(extras[i].x, extras[i].y, x, y) <= r * r) {
+            orders.push(extras[i].order);
+        }
+    }
+    const nodes = tree.levels[zoom + 1],
+        result = [],
+        found = {};
+    for (let i = 0; i < orders.length; i++) {
+        const node = nodes[searchTreeNode(nodes, orders[i])];
+        // nodes may have been moved since indexed
+        if (node && !node.removed && node.group === group && !found[node.order] && sqDist(node.x, node.y, x, y) <= r * r) {
+            found[node.order] = 1;
+            result.push(node);
+        }
+    }
+    return result;
+}
+
+/**
+ * Get nodes of a zoom level.
+ * @private
+ */
+function getTreeLevel(tree, zoom) {
+    if (tree.dirtyLevels[zoom]) {
+        tree.levels[zoom] = tree.levels[zoom].filter(node => !node.removed);
+        delete tree.dirtyLevels[zoom];
+    }
+    return tree.levels[zoom];
+}
+
+/**
+ * Get the kd-tree of nodes in the upper level of the zoom, nodes added afterwards are kept in extras.
+ * @private
+ */
+function getTreeIndex(tree, zoom) {
+    const index = tree.indexes[zoom];
+    if (!index || index.extras.length > 256 && index.extras.length > tree.levels[zoom + 1].length / 16) {
+        const nodes = getTreeLevel(tree, zoom + 1);
+        const orders = new Uint32Array(nodes.length),
+            coords = new Float64Array(nodes.length * 2);
+        for (let i = 0; i < nodes.length; i++) {
+            orders[i] = nodes[i].order;
+            coords[i * 2] = nodes[i].x;
+            coords[i * 2 + 1] = nodes[i].y;
+        }
+        tree.indexes[zoom] = {
+            kd : createKDTree(orders, coords, 64),
+            extras : []
         };
     }
+    return tree.indexes[zoom];
+}
 
-    _distanceTo(c1, c2) {
-        const x = c1.x - c2.x,
-            y = c1.y - c2.y;
-        return Math.sqrt(x * x + y * y);
+// insert an order into a sorted array
+function insertOrder(orders, order) {
+    const i = searchInsertPosition(orders, order, true);
+    if (orders[i] !== order) {
+        orders.splice(i, 0, order);
     }
+}
 
-    _stopAnim() {
-        if (this._player && this._player.playState !== 'finished') {
-            this._player.finish();
+function searchInsertPosition(items, order, isOrder) {
+    let low = 0,
+        high = items.length;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if ((isOrder ? items[mid] : items[mid].order) < order) {
+            low = mid + 1;
+        } else {
+            high = mid;
         }
     }
+    return low;
+}
 
-    onZoomStart(param) {
-        this._stopAnim();
-        super.onZoomStart(param);
+// binary search of node by order
+function searchTreeNode(nodes, order) {
+    let low = 0,
+        high = nodes.length - 1;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const o = nodes[mid].order;
+        if (o === order) {
+            return mid;
+        } else if (o < order) {
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
     }
+    return -1;
+}
 
-    onZoomEnd(param) {
-        if (this.layer.isEmpty() || !this.layer.isVisible()) {
-            super.onZoomEnd.apply(this, arguments);
-            return;
+/**
+ * Flatten a cluster tree to typed arrays to transfer it from a worker.
+ * Node ids are indexes of the arrays, parent of a node is -1 if it's a root node.
+ * @param  {Object} tree - cluster tree
+ * @return {Object} { levels : { zoom : node ids }, counts, centers, parents, zooms, minZoom, maxZoom }
+ * @private
+ */
+function flattenClusterTree(tree) {
+    const count = tree.nextId;
+    const counts = new Uint32Array(count),
+        centers = new Float64Array(count * 2),
+        parents = new Int32Array(count),
+        zooms = new Int8Array(count),
+        levels = {};
+    for (let z = tree.maxZoom + 1; z >= tree.minZoom; z--) {
+        const nodes = tree.levels[z];
+        const ids = levels[z] = new Uint32Array(nodes.length);
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            ids[i] = node.id;
+            counts[node.id] = node.count;
+            centers[node.id * 2] = node.sumX / node.count;
+            centers[node.id * 2 + 1] = node.sumY / node.count;
+            parents[node.id] = node.parent ? node.parent.id : -1;
+            zooms[node.id] = node.zoom;
+        }
+    }
+    return {
+        levels : levels,
+        counts : counts,
+        centers : centers,
+        parents : parents,
+        zooms : zooms,
+        minZoom : tree.minZoom,
+        maxZoom : tree.maxZoom
+    };
+}
+
+/**
+ * Restore the cluster tree flattened by flattenClusterTree.
+ * @param  {Object[]} points - points the tree is built from
+ * @param  {Object} radius   - cluster radius of every zoom level
+ * @param  {Object} data     - flattened tree
+ * @return {Object} cluster tree
+ * @private
+ */
+function inflateClusterTree(points, radius, data) {
+    const count = data.counts.length,
+        centers = data.centers,
+        nodes = new Array(count);
+    for (let i = 0; i < count; i++) {
+        if (i < points.length) {
+            nodes[i] = createLeafNode(i, points[i].x, points[i].y, data.maxZoom + 1, points[i].group, points[i].weight);
+        } else {
+            nodes[i] = {
+                id : i,
+                x : 0,
+                y : 0,
+                group : 0,
+                sumX : centers[i * 2] * data.counts[i],
+                sumY : centers[i * 2 + 1] * data.counts[i],
+                count : data.counts[i],
+                // weights are summed up from children
+                weight : 0,
+                weightX : 0,
+                weightY : 0,
+                zoom : data.zooms[i],
+                order : 0,
+                version : 0,
+                index : -1,
+                parent : null,
+                children : []
+            };
+        }
+    }
+    const tree = createClusterTree(radius, data.minZoom, data.maxZoom, points.length);
+    tree.nextId = count;
+    tree.leaves = nodes.slice(0, points.length);
+    for (let z = data.maxZoom + 1; z >= data.minZoom; z--) {
+        const ids = data.levels[z],
+            level = tree.levels[z] = new Array(ids.length);
+        for (let i = 0; i < ids.length; i++) {
+            const node = level[i] = nodes[ids[i]];
+            const parent = nodes[data.parents[node.id]];
+            if (parent && parent.zoom === z - 1) {
+                // the first child is the one the cluster grows from
+                if (!parent.children.length) {
+                    parent.x = node.x;
+                    parent.y = node.y;
+                    parent.group = node.group;
+                    parent.order = node.order;
+                }
+                parent.children.push(node);
+                parent.weight += node.weight;
+                parent.weightX += node.weightX;
+                parent.weightY += node.weightY;
+                node.parent = parent;
+            }
         }
-        this._inout = param['from'] > param['to'] ? 'in' : 'out';
-        this._animated = true;
-        this._computeGrid();
-        super.onZoomEnd.apply(this, arguments);
     }
+    return tree;
+}
 
-    _clearDataCache() {
-        this._stopAnim();
-        delete this._markerExtent;
-        delete this._markerPoints;
-        delete this._clusterCache;
-        delete this._zoomInClusters;
+function isWorkerSupported() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+        typeof URL !== 'undefined' && !!URL.createObjectURL;
+}
+
+let clusterWorkerURL;
+
+/**
+ * Get the url of worker script to build cluster trees, composed from the source of functions above.
+ * @private
+ */
+function getClusterWorkerURL() {
+    if (!clusterWorkerURL) {
+        const deps = [buildClusterTree, createClusterTree, createLeafNode, createClusterNode, clusterNodes, flattenClusterTree, ascending,
+            createKDTree, withinKDTree, sortKD, selectKD, swapKD, sqDist];
+        const code = deps.map(fn => fn.toString()).join('\n') + '\n(' + clusterWorker.toString() + ')();';
+        clusterWorkerURL = URL.createObjectURL(new Blob([code], { type : 'text/javascript' }));
     }
-});
+    return clusterWorkerURL;
+}
+
+/**
+ * Main function of the worker.
+ * @private
+ */
+function clusterWorker() {
+    self.onmessage = function (e) {
+        const data = e.data;
+        const tree = buildClusterTree(data.coords, data.radius, data.minZoom, data.maxZoom, data.groups);
+        const result = flattenClusterTree(tree);
+        result.id = data.id;
+        const transfer = [result.counts.buffer, result.centers.buffer, result.parents.buffer, result.zooms.buffer];
+        for (const z in result.levels) {
+            transfer.push(result.levels[z].buffer);
+        }
+        self.postMessage(result, transfer);
+    };
+}
+
+/**
+ * Get indexes of points in the node.
+ * @private
+ */
+function getNodeLeaves(node, leaves) {
+    leaves = leaves || [];
+    if (node.members) {
+        // children of hexbins don't cover their points exactly
+        for (let i = 0; i < node.members.length; i++) {
+            leaves.push(node.members[i]);
+        }
+        return leaves;
+    }
+    if (!node.children) {
+        leaves.push(node.index);
+        return leaves;
+    }
+    for (let i = 0; i < node.children.length; i++) {
+        getNodeLeaves(node.children[i], leaves);
+    }
+    return leaves;
+}
+
+/**
+ * Get the node containing the given node in a lower zoom level.
+ * @private
+ */
+function getAncestorNode(node, zoom) {
+    while (node.parent && node.parent.zoom >= zoom) {
+        node = node.parent;
+    }
+    return node;
+}
+
+function ascending(a, b) {
+    return a - b;
+}
+
+// a static kd-tree for radius search, based on kdbush by Vladimir Agafonkin (ISC License)
+function createKDTree(ids, coords, nodeSize) {
+    sortKD(ids, coords, nodeSize, 0, ids.length - 1, 0);
+    return {
+        ids : ids,
+        coords : coords,
+        nodeSize : nodeSize
+    };
+}
+
+function withinKDTree(index, qx, qy, r) {
+    const ids = index.ids,
+        coords = index.coords,
+        nodeSize = index.nodeSize;
+    const stack = [0, ids.length - 1, 0];
+    const result = [];
+    const r2 = r * r;
+    while (stack.length) {
+        const axis = stack.pop();
+        const right = stack.pop();
+        const left = stack.pop();
+        if (right - left <= nodeSize) {
+            for (let i = left; i <= right; i++) {
+                if (sqDist(coords[2 * i], coords[2 * i + 1], qx, qy) <= r2) {
+                    result.push(ids[i]);
+                }
+            }
+            continue;
+        }
+        const m = Math.floor((left + right) / 2);
+        const x = coords[2 * m],
+            y = coords[2 * m + 1];
+        if (sqDist(x, y, qx, qy) <= r2) {
+            result.push(ids[m]);
+        }
+        if (axis === 0 ? qx - r <= x : qy - r <= y) {
+            stack.push(left, m - 1, 1 - axis);
+        }
+        if (axis === 0 ? qx + r >= x : qy + r >= y) {
+            stack.push(m + 1, right, 1 - axis);
+        }
+    }
+    return result;
+}
+
+function sortKD(ids, coords, nodeSize, left, right, axis) {
+    if (right - left <= nodeSize) {
+        return;
+    }
+    const m = Math.floor((left + right) / 2);
+    selectKD(ids, coords, m, left, right, axis);
+    sortKD(ids, coords, nodeSize, left, m - 1, 1 - axis);
+    sortKD(ids, coords, nodeSize, m + 1, right, 1 - axis);
+}
+
+// Floyd-Rivest selection: sort ids and coords so that the k-th item is in its sorted position on the axis
+function selectKD(ids, coords, k, left, right, axis) {
+    while (right > left) {
+        if (right - left > 600) {
+            const n = right - left + 1;
+            const m = k - left + 1;
+            const z = Math.log(n);
+            const s = 0.5 * Math.exp(2 * z / 3);
+            const sd = 0.5 * Math.sqrt(z * s * (n - s) / n) * (m - n / 2 < 0 ? -1 : 1);
+            const newLeft = Math.max(left, Math.floor(k - m * s / n + sd));
+            const newRight = Math.min(right, Math.floor(k + (n - m) * s / n + sd));
+            selectKD(ids, coords, k, newLeft, newRight, axis);
+        }
+        const t = coords[2 * k + axis];
+        let i = left;
+        let j = right;
+        swapKD(ids, coords, left, k);
+        if (coords[2 * right + axis] > t) {
+            swapKD(ids, coords, left, right);
+        }
+        while (i < j) {
+            swapKD(ids, coords, i, j);
+            i++;
+            j--;
+            while (coords[2 * i + axis] < t) {
+                i++;
+            }
+            while (coords[2 * j + axis] > t) {
+                j--;
+            }
+        }
+        if (coords[2 * left + axis] === t) {
+            swapKD(ids, coords, left, j);
+        } else {
+            j++;
+            swapKD(ids, coords, j, right);
+        }
+        if (j <= k) {
+            left = j + 1;
+        }
+        if (k <= j) {
+            right = j - 1;
+        }
+    }
+}
+
+function swapKD(ids, coords, i, j) {
+    const id = ids[i];
+    ids[i] = ids[j];
+    ids[j] = id;
+    const x = coords[2 * i],
+        y = coords[2 * i + 1];
+    coords[2 * i] = coords[2 * j];
+    coords[2 * i + 1] = coords[2 * j + 1];
+    coords[2 * j] = x;
+    coords[2 * j + 1] = y;
+}
+
+function sqDist(x1, y1, x2, y2) {
+    const dx = x1 - x2,
+        dy = y1 - y2;
+    return dx * dx + dy * dy;
+}
@@ -149,4 +149,891 @@ describe('ClusterLayer', function () {
         })
         .addTo(map);
     });
+
+    it('should spiderfy and unspiderfy a cluster', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())]);
+        layer.once('layerload', function () {
+            layer.once('spiderfy', function (e) {
+                expect(e.children.length).to.be.eql(2);
+                layer.once('unspiderfy', function () {
+                    done();
+                });
+                layer.unspiderfy();
+            });
+            layer.spiderfy(layer.identify(map.getCenter()));
+        })
+        .addTo(map);
+    });
+
+    it('should identify spiderfied markers', function (done) {
+        var symbol = {
+            'markerType' : 'ellipse',
+            'markerWidth' : 10,
+            'markerHeight' : 10
+        };
+        var marker = new maptalks.Marker(map.getCenter(), { symbol : symbol });
+        var layer = new maptalks.ClusterLayer('g', [marker, new maptalks.Marker(map.getCenter(), { symbol : symbol })]);
+        layer.once('layerload', function () {
+            layer.once('layerload', function () {
+                var point = map.coordinateToContainerPoint(map.getCenter()).add(15, 9);
+                var hits = layer.identify(map.containerPointToCoordinate(point));
+                expect(hits.length).to.be.eql(1);
+                expect(hits[0] === marker).to.be.ok();
+                done();
+            });
+            layer.spiderfy(layer.identify(map.getCenter()));
+        })
+        .addTo(map);
+    });
+
+    it('should cluster markers within maxClusterRadius', function (done) {
+        var center = map.getCenter();
+        var near = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(40, 0));
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(120, 0));
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(near), new maptalks.Marker(far), new maptalks.Marker(far)]);
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(2);
+            expect(clusters[0].count).to.be.eql(2);
+            expect(clusters[1].count).to.be.eql(2);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should merge clusters when zooming out', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, 0));
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(far), new maptalks.Marker(far)], { 'animation' : false });
+        layer.once('layerload', function () {
+            expect(layer.getClusters().length).to.be.eql(2);
+            layer.once('layerload', function () {
+                var clusters = layer.getClusters();
+                expect(clusters.length).to.be.eql(1);
+                expect(clusters[0].count).to.be.eql(4);
+                done();
+            });
+            map.setZoom(map.getZoom() - 1);
+        })
+        .addTo(map);
+    });
+
+    it('should compute clusters in a worker', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())], { 'useWorker' : true });
+        function onLoad() {
+            if (!layer.getClusters().length) {
+                return;
+            }
+            layer.off('layerload', onLoad);
+            expect(layer.getClusters()[0].count).to.be.eql(2);
+            expect(layer).to.be.painted();
+            done();
+        }
+        layer.on('layerload', onLoad).addTo(map);
+    });
+
+    it('should update clusters incrementally when markers are added, removed or moved', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(120, 0));
+        var marker = new maptalks.Marker(center);
+        var layer = new maptalks.ClusterLayer('g', [marker, new maptalks.Marker(center), new maptalks.Marker(far)], { 'animation' : false });
+        layer.once('layerload', function () {
+            expect(layer.getClusters().length).to.be.eql(1);
+            layer.once('layerload', function () {
+                var clusters = layer.getClusters();
+                expect(clusters.length).to.be.eql(1);
+                expect(clusters[0].count).to.be.eql(3);
+                expect(clusters[0].children).to.contain(marker);
+                done();
+            });
+            marker.setCoordinates(far);
+            layer.addGeometry(new maptalks.Marker(far));
+        })
+        .addTo(map);
+    });
+
+    it('should be same as rebuilding after incremental updates', function (done) {
+        var seed = 1;
+        function random() {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        }
+        function randomCoord() {
+            return map.containerPointToCoordinate(new maptalks.Point(random() * 400, random() * 300));
+        }
+        function signature(layer, zoom) {
+            return layer.getClustersAsGeoJSON(zoom).features.map(function (f) {
+                var coordinates = f.geometry.coordinates;
+                return f.properties.count + ':' + coordinates[0].toFixed(6) + ',' + coordinates[1].toFixed(6);
+            }).sort();
+        }
+        var markers = [];
+        for (var i = 0; i < 200; i++) {
+            markers.push(new maptalks.Marker(randomCoord()));
+        }
+        var layer = new maptalks.ClusterLayer('g', markers, { 'animation' : false });
+        layer.once('layerload', function () {
+            for (var i = 0; i < 20; i++) {
+                markers[i * 10].remove();
+                layer.addGeometry(new maptalks.Marker(randomCoord()));
+                markers[i * 10 + 5].setCoordinates(randomCoord());
+            }
+            layer.once('layerload', function () {
+                var copies = layer.getGeometries().map(function (g) {
+                    return g.copy();
+                });
+                var fresh = new maptalks.ClusterLayer('fresh', copies, { 'animation' : false });
+                fresh.once('layerload', function () {
+                    // clusters of every cached zoom level
+                    for (var z = map.getMinZoom(); z <= map.getMaxZoom(); z++) {
+                        expect(signature(layer, z)).to.be.eql(signature(fresh, z));
+                    }
+                    done();
+                }).addTo(map);
+            });
+        })
+        .addTo(map);
+    });
+
+    it('should draw clusters as pie charts by chartProperty', function (done) {
+        var center = map.getCenter();
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'status' : 'a' }}),
+            new maptalks.Marker(center, { 'properties' : { 'status' : 'a' }}),
+            new maptalks.Marker(center, { 'properties' : { 'status' : 'b' }})
+        ], {
+            'chartProperty' : 'status',
+            'chartType' : 'donut',
+            'chartColors' : { 'a' : '#f00', 'b' : '#00f' },
+            'drawClusterText' : false
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].breakdown).to.be.eql({ 'a' : 2, 'b' : 1 });
+            // the donut's hole is empty
+            expect(layer).not.to.be.painted();
+            expect(layer).to.be.painted(0, -15);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should aggregate clusterProperties', function (done) {
+        var center = map.getCenter();
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'value' : 1, 'type' : 'a' }}),
+            new maptalks.Marker(center, { 'properties' : { 'value' : 5, 'type' : 'b' }}),
+            new maptalks.Marker(center, { 'properties' : { 'value' : 3, 'type' : 'a' }})
+        ], {
+            'clusterProperties' : {
+                'total' : { 'type' : 'sum', 'property' : 'value' },
+                'min' : { 'type' : 'min', 'property' : 'value' },
+                'max' : { 'type' : 'max', 'property' : 'value' },
+                'mean' : { 'type' : 'mean', 'property' : 'value' },
+                'types' : { 'type' : 'countDistinct', 'property' : 'type' },
+                'product' : {
+                    'property' : 'value',
+                    'map' : function (v) { return v * 2; },
+                    'reduce' : function (a, b) { return a * b; }
+                }
+            },
+            'symbol' : {
+                'markerType' : 'ellipse',
+                'markerFill' : '#f00',
+                'markerWidth' : { 'property' : 'total', 'type' : 'interval', 'stops' : [[0, 10], [9, 40]] },
+                'markerHeight' : { 'property' : 'total', 'type' : 'interval', 'stops' : [[0, 10], [9, 40]] }
+            },
+            'drawClusterText' : false
+        });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            expect(cluster.properties).to.be.eql({ 'total' : 9, 'min' : 1, 'max' : 5, 'mean' : 3, 'types' : 2, 'product' : 120 });
+            expect(layer).to.be.painted(0, -15);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should throw invalid clusterProperties when configured', function () {
+        var invalid = { 'total' : { 'type' : 'median', 'property' : 'value' }};
+        expect(function () {
+            new maptalks.ClusterLayer('g', { 'clusterProperties' : invalid });
+        }).to.throwException(/Invalid clusterProperties total/);
+        var layer = new maptalks.ClusterLayer('g');
+        expect(function () {
+            layer.config('clusterProperties', invalid);
+        }).to.throwException(/Invalid clusterProperties total/);
+        expect(layer.options['clusterProperties']).to.be(null);
+    });
+
+    it('should fire cluster events', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())]);
+        layer.once('layerload', function () {
+            var domPosition = maptalks.DomUtil.computeDomPosition(container);
+            var point = map.coordinateToContainerPoint(map.getCenter()).add(domPosition[0], domPosition[1]);
+            var events = [];
+            layer.on('clustermouseover clusterclick clustermouseout', function (e) {
+                events.push(e.type);
+                expect(e.cluster.count).to.be.eql(2);
+                expect(e.children.length).to.be.eql(2);
+                expect(e.containerPoint).to.be.ok();
+            });
+            happen.mousemove(map._panels.front, {
+                'clientX' : point.x,
+                'clientY' : point.y
+            });
+            happen.mousedown(map._panels.front, {
+                'clientX' : point.x,
+                'clientY' : point.y
+            });
+            happen.click(map._panels.front, {
+                'clientX' : point.x,
+                'clientY' : point.y
+            });
+            happen.mouseout(map._panels.front, {
+                'clientX' : point.x,
+                'clientY' : point.y
+            });
+            expect(events).to.be.eql(['clustermouseover', 'clusterclick', 'clustermouseout']);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should get cluster expansion zoom and zoom to cluster', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, 0));
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(far), new maptalks.Marker(far)], { 'animation' : false });
+        map.setZoom(16, { 'animation' : false });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(layer.getClusterExpansionZoom(clusters[0])).to.be.eql(17);
+            expect(layer.getClusterExpansionZoom(layer.identify(clusters[0].children[0].getCoordinates()))).to.be.eql(17);
+            layer.zoomToCluster(clusters[0], { 'animation' : false });
+            expect(map.getZoom()).to.be.eql(17);
+            layer.once('layerload', function () {
+                var clusters = layer.getClusters();
+                expect(clusters.length).to.be.eql(2);
+                // markers on the same position are separated at map's max zoom
+                expect(layer.getClusterExpansionZoom(clusters[0])).to.be.eql(map.getMaxZoom());
+                done();
+            });
+        })
+        .addTo(map);
+    });
+
+    it('should return immutable clusters with stable ids', function (done) {
+        var center = map.getCenter();
+        var near = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, 0));
+        var markers = [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(near)];
+        var layer = new maptalks.ClusterLayer('g', markers, { 'animation' : false });
+        map.setZoom(16, { 'animation' : false });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            expect(Object.isFrozen(cluster)).to.be.ok();
+            expect(cluster.count).to.be.eql(3);
+            expect(cluster.zoom).to.be.eql(16);
+            expect(cluster.center.x).to.be.above(center.x);
+            expect(cluster.center.x).to.be.below(near.x);
+            expect(Math.abs(cluster.extent.xmin - center.x)).to.be.below(1E-8);
+            expect(Math.abs(cluster.extent.xmax - near.x)).to.be.below(1E-8);
+            expect(cluster.getLeaves()).to.be.eql(markers);
+            expect(cluster.getLeaves(1, 1)).to.be.eql([markers[1]]);
+            // the cluster of 2 markers on center and the marker on near
+            var children = cluster.getChildren();
+            expect(children.length).to.be.eql(2);
+            expect(children[0].count).to.be.eql(2);
+            expect(children[1] === markers[2]).to.be.ok();
+            expect(layer.identify(center).id).to.be.eql(cluster.id);
+            layer.once('layerload', function () {
+                expect(layer.getClusters()[0].id).to.be.eql(cluster.id);
+                done();
+            });
+            map.setCenter(map.containerPointToCoordinate(new maptalks.Point(210, 150)));
+        })
+        .addTo(map);
+    });
+
+    it('should derive ids of clusters from their markers', function (done) {
+        var center = map.getCenter();
+        var markers = [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(center)];
+        var layer = new maptalks.ClusterLayer('g', markers, { 'animation' : false });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            expect(cluster.id).to.be.a('string');
+            expect(Object.isFrozen(cluster.center)).to.be.ok();
+            expect(Object.isFrozen(cluster.extent)).to.be.ok();
+            layer.once('layerload', function () {
+                // rebuilt with the same markers
+                expect(layer.getClusters()[0].id).to.be.eql(cluster.id);
+                layer.once('layerload', function () {
+                    expect(layer.getClusters()[0].count).to.be.eql(4);
+                    expect(layer.getClusters()[0].id).not.to.be.eql(cluster.id);
+                    done();
+                });
+                layer.addMarker(new maptalks.Marker(center));
+            });
+            layer.config('maxClusterRadius', 100);
+        })
+        .addTo(map);
+    });
+
+    it('should keep markers of returned clusters when markers are removed', function (done) {
+        var center = map.getCenter();
+        var markers = [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(center)];
+        var layer = new maptalks.ClusterLayer('g', markers, { 'animation' : false });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            layer.once('layerload', function () {
+                expect(cluster.getLeaves().length).to.be.eql(3);
+                expect(cluster.children[0] === markers[0]).to.be.ok();
+                expect(cluster.getHull()).to.be.a(maptalks.Polygon);
+                expect(function () {
+                    cluster.getChildren();
+                }).to.throwException(/outdated/);
+                expect(layer.getClusters()[0].count).to.be.eql(2);
+                done();
+            });
+            markers[0].remove();
+        })
+        .addTo(map);
+    });
+
+    it('should get children of unchanged clusters after markers are added', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(150, 100));
+        var markers = [new maptalks.Marker(center), new maptalks.Marker(center)];
+        var layer = new maptalks.ClusterLayer('g', markers, { 'animation' : false });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            layer.once('layerload', function () {
+                var clusters = layer.getClusters();
+                expect(clusters.length).to.be.eql(1);
+                expect(clusters[0].id).to.be.eql(cluster.id);
+                expect(clusters[0].getChildren()).to.be.eql(markers);
+                done();
+            });
+            layer.addGeometry(new maptalks.Marker(far));
+        })
+        .addTo(map);
+    });
+
+    it('should cluster GeoJSON features', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(120, 0));
+        function feature(coordinate, value) {
+            return {
+                'type' : 'Feature',
+                'geometry' : { 'type' : 'Point', 'coordinates' : coordinate.toArray() },
+                'properties' : { 'value' : value }
+            };
+        }
+        var layer = maptalks.ClusterLayer.fromGeoJSON('g', {
+            'type' : 'FeatureCollection',
+            'features' : [feature(center, 1), feature(center, 2), feature(far, 3)]
+        }, {
+            'clusterProperties' : {
+                'total' : { 'type' : 'sum', 'property' : 'value' }
+            }
+        });
+        layer.once('layerload', function () {
+            expect(layer.getGeometries().length).to.be.eql(0);
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].properties.total).to.be.eql(3);
+            var leaves = clusters[0].getLeaves(1);
+            expect(leaves.length).to.be.eql(1);
+            expect(leaves[0] instanceof maptalks.Marker).to.be.ok();
+            expect(leaves[0].getProperties().value).to.be.eql(1);
+            // the feature not clustered is drawn as a marker
+            expect(layer).to.be.painted(120, -5);
+            var hit = map.containerPointToCoordinate(map.coordinateToContainerPoint(far).add(0, -10));
+            expect(layer.identify(hit)[0].getProperties().value).to.be.eql(3);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should export data to JSON and reject features can not be clustered', function () {
+        var point = { 'type' : 'Feature', 'geometry' : { 'type' : 'Point', 'coordinates' : [0, 0] }, 'properties' : { 'value' : 1 }};
+        var layer = maptalks.ClusterLayer.fromGeoJSON('g', [point, { 'type' : 'Feature', 'geometry' : null }]);
+        expect(layer.getData()).to.be.eql([point]);
+        expect(layer.isEmpty()).not.to.be.ok();
+        var copy = maptalks.Layer.fromJSON(layer.toJSON());
+        expect(copy).to.be.a(maptalks.ClusterLayer);
+        expect(copy.getData()).to.be.eql([point]);
+        expect(function () {
+            layer.setData([point, { 'type' : 'Feature', 'geometry' : { 'type' : 'MultiPolygon', 'coordinates' : [] }}]);
+        }).to.throwException(/invalid feature at index:1/);
+    });
+
+    it('should get clusters as GeoJSON of any zoom', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(120, 0));
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'value' : 1 }}),
+            new maptalks.Marker(center, { 'properties' : { 'value' : 2 }}),
+            new maptalks.Marker(far, { 'properties' : { 'value' : 3 }})
+        ], {
+            'clusterProperties' : {
+                'total' : { 'type' : 'sum', 'property' : 'value' }
+            }
+        });
+        layer.once('layerload', function () {
+            var geojson = layer.getClustersAsGeoJSON();
+            expect(geojson.type).to.be.eql('FeatureCollection');
+            expect(geojson.features.length).to.be.eql(2);
+            var cluster = geojson.features[0];
+            expect(cluster.id).to.be.eql(layer.getClusters()[0].id);
+            expect(cluster.properties).to.be.eql({ 'total' : 3, 'cluster' : true, 'clusterId' : cluster.id, 'count' : 2 });
+            expect(Math.abs(cluster.geometry.coordinates[0] - center.x)).to.be.below(1E-8);
+            expect(geojson.features[1].properties).to.be.eql({ 'value' : 3, 'cluster' : false, 'count' : 1 });
+
+            geojson = layer.getClustersAsGeoJSON(10);
+            expect(geojson.features.length).to.be.eql(1);
+            expect(geojson.features[0].properties.count).to.be.eql(3);
+            expect(geojson.features[0].properties.total).to.be.eql(6);
+            expect(map.getZoom()).to.be.eql(17);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should get hull of cluster and draw it on hover', function (done) {
+        var center = map.getCenter();
+        var markers = [[0, 0], [40, 0], [40, 40], [0, 40], [20, 20], [20, 0]].map(function (offset) {
+            return new maptalks.Marker(map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(offset[0], offset[1])));
+        });
+        var layer = new maptalks.ClusterLayer('g', markers, { 'clusterHull' : true, 'geometryEvents' : false });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            var hull = cluster.getHull();
+            expect(hull).to.be.a(maptalks.Polygon);
+            expect(hull.getShell().length).to.be.eql(4);
+            expect(cluster.getHull().getShell()).to.be.eql(hull.getShell());
+            layer.on('clustermouseover', function () {
+                throw new Error('cluster events are disabled');
+            });
+            // in the hull, out of the cluster's symbol
+            expect(layer).not.to.be.painted(4, 36);
+            layer.once('layerload', function () {
+                expect(layer).to.be.painted(4, 36);
+                done();
+            });
+            var domPosition = maptalks.DomUtil.computeDomPosition(container);
+            var point = map.coordinateToContainerPoint(cluster.center).add(domPosition[0], domPosition[1]);
+            happen.mousemove(map._panels.front, {
+                'clientX' : point.x,
+                'clientY' : point.y
+            });
+        })
+        .addTo(map);
+    });
+
+    it('should not cluster markers excluded by clusterable option or clusterFilter', function (done) {
+        var center = map.getCenter();
+        var hq = new maptalks.Marker(center, { 'clusterable' : false }),
+            incident = new maptalks.Marker(center, { 'properties' : { 'incident' : true }});
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), hq, incident], {
+            'clusterFilter' : function (properties) {
+                return !properties['incident'];
+            }
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(2);
+            var features = layer.getClustersAsGeoJSON().features;
+            expect(features.length).to.be.eql(3);
+            var markers = features.filter(function (f) {
+                return !f.properties.cluster;
+            });
+            expect(markers.length).to.be.eql(2);
+            expect(markers[1].properties.incident).to.be.ok();
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should cluster markers by group and spread overlapped clusters of different groups', function (done) {
+        var center = map.getCenter();
+        var markers = ['police', 'fire', 'police', 'fire'].map(function (type) {
+            return new maptalks.Marker(center, { 'properties' : { 'type' : type }});
+        });
+        var layer = new maptalks.ClusterLayer('g', markers, {
+            'groupBy' : 'type',
+            'groupSymbols' : {
+                'fire' : { 'markerType' : 'ellipse', 'markerFill' : '#f00', 'markerWidth' : 40, 'markerHeight' : 40 }
+            }
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(2);
+            expect(clusters[0].group).to.be.eql('police');
+            expect(clusters[0].count).to.be.eql(2);
+            expect(clusters[1].group).to.be.eql('fire');
+            expect(clusters[1].count).to.be.eql(2);
+            // spread 40 pixels apart, police above and fire below
+            expect(layer).to.be.painted(0, -30);
+            expect(layer).to.be.painted(0, 30, [255, 0, 0]);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should weight cluster centers and counts by weightProperty', function (done) {
+        var center = map.getCenter();
+        var right = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(40, 0));
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'revenue' : 1 }}),
+            new maptalks.Marker(right, { 'properties' : { 'revenue' : 3 }})
+        ], {
+            'weightProperty' : 'revenue',
+            'symbol' : {
+                'markerType' : 'ellipse',
+                'markerWidth' : { property : 'weight', type : 'interval', stops : [[0, 40], [4, 60]] },
+                'markerHeight' : 40
+            }
+        });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            expect(cluster.count).to.be.eql(2);
+            expect(cluster.properties.weight).to.be.eql(4);
+            // 3/4 of the way to the heavier marker
+            var pt = map.coordinateToContainerPoint(cluster.center).sub(map.coordinateToContainerPoint(center));
+            expect(Math.round(pt.x)).to.be.eql(30);
+            // 60 pixels wide by weight
+            expect(layer).to.be.painted(56, 0);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should draw heatmap instead of clusters below heatmapZoom', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())], {
+            'heatmapZoom' : 18
+        });
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            expect(layer.getClusters().length).to.be.eql(0);
+            layer.once('layerload', function () {
+                expect(layer.getClusters().length).to.be.eql(1);
+                done();
+            });
+            layer.config('heatmapZoom', null);
+        })
+        .addTo(map);
+    });
+
+    it('should redraw heatmap of the view when map is moved', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())], {
+            'heatmapZoom' : 18
+        });
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            layer.once('layerload', function () {
+                expect(layer).to.be.painted(-50, 0);
+                expect(layer).not.to.be.painted(50, 0);
+                done();
+            });
+            map.setCenter(map.containerPointToCoordinate(new maptalks.Point(250, 150)));
+        })
+        .addTo(map);
+    });
+
+    it('should bin markers into hexagons in hexbin mode', function (done) {
+        var center = map.getCenter();
+        var near = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(10, 10));
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(near)], {
+            'clusterMode' : 'hexbin'
+        });
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(3);
+            expect(clusters[0].getLeaves().length).to.be.eql(3);
+            var hexagon = clusters[0].getHexagon();
+            expect(hexagon).to.be.a(maptalks.Polygon);
+            expect(hexagon.getShell().length).to.be.eql(6);
+            expect(hexagon.getExtent().contains(center)).to.be.ok();
+            var identified = layer.identify(hexagon.getCenter());
+            expect(identified.id).to.be.eql(clusters[0].id);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should cluster markers by dbscan and draw noise as markers', function (done) {
+        var center = map.getCenter();
+        var near = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(30, 0));
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, 0));
+        var noise = new maptalks.Marker(far);
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(near), noise], {
+            'clusterMode' : 'dbscan',
+            'eps' : 40,
+            'minPoints' : 3,
+            'noClusterWithOneMarker' : false
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(3);
+            var hits = layer.identify(far);
+            expect(hits.length).to.be.eql(1);
+            expect(hits[0] === noise).to.be.ok();
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should merge dbscan clusters joined by a chain of markers', function (done) {
+        var center = map.coordinateToContainerPoint(map.getCenter());
+        // groups at both ends have points within eps of the chain, but their centers are not
+        var offsets = [-150, -150, -150, -139, -139, 139, 139, 150, 150, 150];
+        for (var x = -112; x <= 112; x += 28) {
+            offsets.push(x);
+        }
+        var markers = offsets.map(function (dx) {
+            return new maptalks.Marker(map.containerPointToCoordinate(center.add(dx, 0)));
+        });
+        var layer = new maptalks.ClusterLayer('g', markers, {
+            'clusterMode' : 'dbscan',
+            'eps' : 30,
+            'minPoints' : 3
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(markers.length);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should draw clusters smaller than minClusterSize as markers', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(100, 80));
+        var a = new maptalks.Marker(far), b = new maptalks.Marker(far);
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(center), a, b], {
+            'maxClusterRadius' : 40,
+            'minClusterSize' : 3
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(3);
+            var markers = layer.identify(far);
+            expect(markers.length).to.be.eql(2);
+            expect(markers.indexOf(a) >= 0 && markers.indexOf(b) >= 0).to.be.ok();
+            expect(layer.getClustersAsGeoJSON().features.length).to.be.eql(3);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should cluster with radius of zoom and rebuild when maxClusterRadius changes', function (done) {
+        var center = map.getCenter();
+        var near = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(60, 0));
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(center), new maptalks.Marker(center), new maptalks.Marker(near)], {
+            'maxClusterRadius' : {
+                stops : [[10, 200], [17, 40]]
+            }
+        });
+        layer.once('layerload', function () {
+            expect(layer.getClusters().length).to.be.eql(1);
+            expect(layer.getClusters()[0].count).to.be.eql(2);
+            layer.once('layerload', function () {
+                expect(layer.getClusters().length).to.be.eql(1);
+                expect(layer.getClusters()[0].count).to.be.eql(3);
+                done();
+            });
+            layer.config('maxClusterRadius', function (zoom) {
+                return zoom >= 17 ? 200 : 40;
+            });
+        })
+        .addTo(map);
+    });
+
+    it('should draw summary clusters per region below minClusterZoom', function (done) {
+        var center = map.getCenter();
+        var far = map.containerPointToCoordinate(map.coordinateToContainerPoint(center).add(150, 100));
+        var markers = [center, center, far, far, far].map(function (c, i) {
+            return new maptalks.Marker(c, { 'properties' : { 'region' : i < 2 ? 'east' : 'west' }});
+        });
+        var layer = new maptalks.ClusterLayer('g', markers, {
+            'maxClusterRadius' : 40,
+            'minClusterZoom' : 18,
+            'overviewRegion' : 'region'
+        });
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(2);
+            expect(clusters[0].count).to.be.eql(2);
+            expect(clusters[1].count).to.be.eql(3);
+            expect(layer.getClusterExpansionZoom(clusters[0])).to.be.eql(18);
+            expect(layer).to.be.painted();
+            layer.once('layerload', function () {
+                expect(layer.getClusters().length).to.be.eql(0);
+                expect(layer).not.to.be.painted();
+                done();
+            });
+            layer.config('overviewMode', 'hide');
+        })
+        .addTo(map);
+    });
+
+    it('should draw heatmap below minClusterZoom in heatmap overview mode', function (done) {
+        var layer = new maptalks.ClusterLayer('g', [new maptalks.Marker(map.getCenter()), new maptalks.Marker(map.getCenter())], {
+            'minClusterZoom' : 18,
+            'overviewMode' : 'heatmap'
+        });
+        layer.once('layerload', function () {
+            expect(layer.getClusters().length).to.be.eql(0);
+            expect(layer).to.be.painted();
+            expect(layer).not.to.be.painted(100, 0);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should cluster polygons and lines by representative points', function (done) {
+        var center = map.getCenter();
+        var polygon = new maptalks.Polygon([[center.add(-0.0001, -0.0001), center.add(0.0001, -0.0001), center.add(0.0001, 0.0001), center.add(-0.0001, 0.0001)]]);
+        var line = new maptalks.LineString([center.add(-0.0001, 0), center.add(0.0001, 0)]);
+        var layer = new maptalks.ClusterLayer('g', [polygon, line, new maptalks.MultiPoint([center])]);
+        expect(function () {
+            layer.addGeometry(new maptalks.MultiPolygon([[[center.add(-0.0001, -0.0001), center.add(0.0001, -0.0001), center.add(0.0001, 0.0001)]]]));
+        }).to.throwException(/Only Marker, LineString, Polygon or MultiPoint/);
+        layer.once('layerload', function () {
+            var clusters = layer.getClusters();
+            expect(clusters.length).to.be.eql(1);
+            expect(clusters[0].count).to.be.eql(3);
+            expect(clusters[0].center).to.be.closeTo(center);
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should export polygons not clustered as Points of their representative points', function (done) {
+        var center = map.getCenter();
+        var polygon = new maptalks.Polygon([[center.add(-0.0001, -0.0001), center.add(0.0001, -0.0001), center.add(0.0001, 0.0001), center.add(-0.0001, 0.0001)]], {
+            'properties' : { 'name' : 'block' }
+        });
+        var layer = new maptalks.ClusterLayer('g', [polygon]);
+        layer.once('layerload', function () {
+            var features = layer.getClustersAsGeoJSON().features;
+            expect(features.length).to.be.eql(1);
+            expect(features[0].geometry.type).to.be.eql('Point');
+            expect(new maptalks.Coordinate(features[0].geometry.coordinates)).to.be.closeTo(center);
+            expect(features[0].properties.name).to.be.eql('block');
+            expect(features[0].properties.cluster).not.to.be.ok();
+            done();
+        })
+        .addTo(map);
+    });
+
+    it('should recluster when representativePoint or shapes are changed', function (done) {
+        var center = map.getCenter();
+        var polygon = new maptalks.Polygon([[center.add(-0.01, -0.01), center.add(0.01, -0.01), center.add(0.01, 0.01), center.add(-0.01, 0.01)]]);
+        var layer = new maptalks.ClusterLayer('g', [polygon, new maptalks.Marker(center)], { 'animation' : false });
+        layer.once('layerload', function () {
+            expect(layer.getClusters().length).to.be.eql(1);
+            layer.once('layerload', function () {
+                // the first vertex is out of the cluster
+                expect(layer.getClusters().length).to.be.eql(0);
+                layer.once('layerload', function () {
+                    expect(layer.getClusters().length).to.be.eql(1);
+                    layer.once('layerload', function () {
+                        expect(layer.getClusters().length).to.be.eql(0);
+                        done();
+                    });
+                    layer.config('representativePoint', function (geometry) {
+                        expect(geometry['type']).to.be.eql('Polygon');
+                        return geometry['coordinates'][0][1];
+                    });
+                });
+                // the first vertex is moved to the marker
+                polygon.setCoordinates([[center, center.add(0.01, 0), center.add(0.01, 0.01)]]);
+            });
+            layer.config('representativePoint', 'firstVertex');
+        })
+        .addTo(map);
+    });
+
+    it('should format cluster texts by textFormat', function (done) {
+        var center = map.getCenter();
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'revenue' : 12000 }}),
+            new maptalks.Marker(center, { 'properties' : { 'revenue' : 345 }})
+        ], {
+            'textFormat' : '{count} / {sum:revenue}',
+            'textLocale' : 'en-US'
+        });
+        layer.once('layerload', function () {
+            expect(layer).to.be.painted();
+            // aggregates of the template are not properties of clusters
+            expect(layer.getClusters()[0].properties['sum:revenue']).to.be(undefined);
+            var texts = [];
+            layer.once('layerload', function () {
+                expect(texts).to.contain('12.3k of 2');
+                done();
+            });
+            layer.config('textFormat', function (c, format) {
+                var text = format(12345) + ' of ' + c.count;
+                texts.push(text);
+                return text;
+            });
+        })
+        .addTo(map);
+    });
+
+    it('should size cluster symbols to fit texts with autoSize', function (done) {
+        var center = map.getCenter();
+        var layer = new maptalks.ClusterLayer('g', [
+            new maptalks.Marker(center, { 'properties' : { 'v' : 123456000 }}),
+            new maptalks.Marker(center, { 'properties' : { 'v' : 789 }})
+        ], {
+            'textFormat' : '{sum:v}',
+            'textAbbreviate' : false,
+            'autoSize' : true,
+            'autoSizeMax' : 200
+        });
+        layer.once('layerload', function () {
+            // the symbol is sized to the text's width, out of the text vertically
+            expect(layer).to.be.painted(0, 30);
+            layer.once('layerload', function () {
+                expect(layer).not.to.be.painted(0, 30);
+                done();
+            });
+            layer.config('autoSizeMax', 40);
+        })
+        .addTo(map);
+    });
+
+    it('should draw clusters as representative markers with badges', function (done) {
+        var center = map.getCenter();
+        var markers = [3, 9, 5].map(function (priority) {
+            return new maptalks.Marker(center, { 'properties' : { 'priority' : priority }});
+        });
+        var layer = new maptalks.ClusterLayer('g', markers, {
+            'representative' : 'priority'
+        });
+        layer.once('layerload', function () {
+            var cluster = layer.getClusters()[0];
+            expect(cluster.getRepresentative() === markers[1]).to.be.ok();
+            expect(layer).to.be.painted(0, -8);
+            expect(layer.identify(center).count).to.be.eql(3);
+            layer.once('layerload', function () {
+                expect(layer.getClusters()[0].getRepresentative() === markers[0]).to.be.ok();
+                done();
+            });
+            layer.config('representative', function (a, b) {
+                return a['priority'] - b['priority'];
+            });
+        })
+        .addTo(map);
+    });
 });